@@ -6,6 +6,7 @@ class GPSTrackViewer {
         this.chartController = new ChartController();
         this.cesiumController = new CesiumController();
         this.weatherController = new WeatherController();
+        this.csvMappingController = new CSVMappingController();
         this.currentTrackData = null;
         this.layers = []; // Store multiple tracks as layers
         this.layerColors = ['#FF6B6B', '#4ECDC4', '#45B7D1', '#FFA07A', '#98D8C8', '#F7DC6F', '#BB8FCE', '#85C1E2'];
@@ -13,7 +14,9 @@ class GPSTrackViewer {
         this.playbackIndex = 0;
         this.isPlaying = false;
         this.is3DMode = false;
-        this.flightCellData = { gps: null, flight: null }; // Store separate FlightCell files
+        this.flightCellSessions = new FlightCellSessionManager(); // Pairs FlightCell GPS and flight logs across drops
+        this.parseTask = null; // Worker parse that can be cancelled from the loading overlay
+        this.logbookFlights = []; // Flights detected in the current track
         
         this.init();
     }
@@ -110,11 +113,47 @@ class GPSTrackViewer {
             this.clearAllLayers();
         });
 
+        // Cancel a streaming parse from the loading overlay
+        document.getElementById('cancelLoadingBtn').addEventListener('click', () => {
+            if (this.parseTask) {
+                this.parseTask.cancel();
+            }
+        });
+
+        // Altitude source for logs with both pressure and GNSS altitude
+        document.getElementById('altitudeSource').addEventListener('change', (e) => {
+            this.chartController.setAltitudeSource(e.target.value);
+        });
+
+        // Derived channel chart and smoothing
+        document.getElementById('derivedChannel').addEventListener('change', (e) => {
+            this.chartController.setDerivedChannel(e.target.value);
+        });
+
+        document.getElementById('derivedSmoothing').addEventListener('change', (e) => {
+            setDerivedSmoothing(parseFloat(e.target.value));
+            this.refreshDerivedMetrics();
+        });
+
         // Export PDF button
         document.getElementById('exportPdfBtn').addEventListener('click', () => {
             this.exportToPDF();
         });
 
+        // Display units
+        this.setupUnitControls();
+
+        // Logbook export
+        document.getElementById('exportLogbookBtn').addEventListener('click', () => {
+            this.exportLogbook();
+        });
+
+        // Integrity model
+        this.setupIntegrityControls();
+
+        // GPS/IMU alignment for FlightCell tracks
+        this.setupSensorAlignmentControls();
+
         // Playback controls
         const playPauseBtn = document.getElementById('playPauseBtn');
         playPauseBtn.addEventListener('click', () => {
@@ -130,6 +169,138 @@ class GPSTrackViewer {
         });
     }
 
+    /**
+     * Setup the unit system switch in the header
+     */
+    setupUnitControls() {
+        const unitSelect = document.getElementById('unitSystem');
+        
+        Object.entries(UNIT_SYSTEMS).forEach(([key, system]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = system.name;
+            unitSelect.appendChild(option);
+        });
+        unitSelect.value = getUnitSystem();
+        
+        unitSelect.addEventListener('change', () => {
+            setUnitSystem(unitSelect.value);
+            this.refreshUnits();
+        });
+    }
+
+    /**
+     * Redraw everything that shows distances, speeds or elevations
+     * Popups and the Cesium description are built when a layer is drawn,
+     * so the layers are drawn again.
+     */
+    async refreshUnits() {
+        if (!this.currentTrackData) return;
+        
+        const stats = this.refreshStatistics();
+        this.chartController.initCharts(this.currentTrackData.points, this.currentTrackData.sensors, stats.phases);
+        await this.displayAllLayers();
+    }
+
+    /**
+     * Recalculate everything that shows derived channels after a smoothing change
+     */
+    refreshDerivedMetrics() {
+        if (!this.currentTrackData) return;
+        
+        this.refreshStatistics();
+        this.chartController.setDerivedChannel(this.chartController.derivedChannel);
+        this.mapController.updateColorMode(this.mapController.colorMode);
+    }
+
+    /**
+     * Setup integrity profile, URA and alert limit controls
+     */
+    setupIntegrityControls() {
+        const profileSelect = document.getElementById('integrityProfile');
+        const uraInput = document.getElementById('integrityUra');
+        const halInput = document.getElementById('integrityHal');
+        const valInput = document.getElementById('integrityVal');
+        
+        Object.entries(INTEGRITY_PROFILES).forEach(([key, profile]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = profile.name;
+            profileSelect.appendChild(option);
+        });
+        
+        const showModel = (model) => {
+            profileSelect.value = model.profile;
+            uraInput.value = model.ura;
+            halInput.value = model.hal !== null ? model.hal : '';
+            valInput.value = model.val !== null ? model.val : '';
+        };
+        
+        const parseLimit = (value) => {
+            const number = parseFloat(value);
+            return isNaN(number) || number <= 0 ? null : number;
+        };
+        
+        showModel(getIntegrityModel());
+        
+        // A new profile brings its own alert limits
+        profileSelect.addEventListener('change', () => {
+            const profile = INTEGRITY_PROFILES[profileSelect.value];
+            showModel(setIntegrityModel({
+                profile: profileSelect.value,
+                hal: profile.hal,
+                val: profile.val
+            }));
+            this.refreshStatistics();
+        });
+        
+        uraInput.addEventListener('change', () => {
+            const ura = parseFloat(uraInput.value);
+            if (isNaN(ura) || ura <= 0) {
+                showError('URA må være større enn 0');
+                showModel(getIntegrityModel());
+                return;
+            }
+            setIntegrityModel({ ura });
+            this.refreshStatistics();
+        });
+        
+        [halInput, valInput].forEach(input => {
+            input.addEventListener('change', () => {
+                setIntegrityModel({
+                    hal: parseLimit(halInput.value),
+                    val: parseLimit(valInput.value)
+                });
+                this.refreshStatistics();
+            });
+        });
+    }
+
+    /**
+     * Setup clock offset, merge mode and attitude source controls for GPS/IMU alignment
+     */
+    setupSensorAlignmentControls() {
+        document.getElementById('sensorClockOffset').addEventListener('change', (e) => {
+            const offset = parseFloat(e.target.value);
+            this.realignSensors({ clockOffsetMs: isNaN(offset) ? 0 : offset });
+        });
+        
+        document.getElementById('sensorAlignMode').addEventListener('change', (e) => {
+            this.realignSensors({ mode: e.target.value });
+        });
+        
+        document.getElementById('sensorAttitudeSource').addEventListener('change', (e) => {
+            this.realignSensors({ attitudeSource: e.target.value });
+        });
+        
+        document.getElementById('applyClockOffsetBtn').addEventListener('click', () => {
+            const sensors = this.currentTrackData && this.currentTrackData.sensors;
+            if (sensors && sensors.estimate) {
+                this.realignSensors({ clockOffsetMs: sensors.estimate.offsetMs });
+            }
+        });
+    }
+
     /**
      * Handle file uploads
      */
@@ -147,43 +318,48 @@ class GPSTrackViewer {
             const logFiles = fileArray.filter(f => f.name.endsWith('.log'));
             
             if (logFiles.length > 0) {
-                // Handle FlightCell log files
-                for (const file of logFiles) {
-                    const content = await file.text();
-                    const logType = detectFlightCellLogType(content);
-                    
-                    if (logType === 'gps') {
-                        this.flightCellData.gps = parseFlightCellGPS(content);
-                        this.flightCellData.gps.name = file.name;
-                    } else if (logType === 'flight') {
-                        this.flightCellData.flight = parseFlightCellFlightData(content);
-                    }
-                }
-                
-                // If we have GPS data, use it (optionally merge with flight data)
-                if (this.flightCellData.gps) {
-                    trackData = this.flightCellData.gps;
-                    
-                    // Merge with flight data if available
-                    if (this.flightCellData.flight) {
-                        trackData.points = mergeFlightCellData(
-                            this.flightCellData.gps.points,
-                            this.flightCellData.flight
-                        );
-                        trackData.hasOrientation = true;
-                    }
-                }
+                // FlightCell logs create or update their own layers
+                await this.importFlightCellLogs(logFiles);
+                return;
             } else {
-                // Handle regular GPS files (GPX or JPS)
+                // Handle regular GPS files (GPX, KML/KMZ, IGC, FIT, GeoJSON, CSV or JPS)
                 const file = files[0];
                 const extension = file.name.split('.').pop().toLowerCase();
 
                 if (extension === 'gpx') {
                     trackData = await parseGPX(file);
+                } else if (extension === 'kml') {
+                    trackData = await parseKML(file);
+                } else if (extension === 'kmz') {
+                    trackData = await parseKMZ(file);
+                } else if (extension === 'igc') {
+                    trackData = {
+                        name: file.name,
+                        ...await this.streamFile(file, 'igc')
+                    };
+                } else if (extension === 'fit') {
+                    trackData = await parseFIT(file);
+                } else if (extension === 'geojson' || extension === 'json') {
+                    trackData = await parseGeoJSON(file);
+                } else if (extension === 'csv' || extension === 'tsv') {
+                    trackData = await this.importCSV(file);
+                    if (!trackData) return; // Import cancelled
                 } else if (extension === 'jps') {
-                    trackData = await parseJPS(file);
+                    const result = await this.streamFile(file, 'jps');
+                    if (result.points.length === 0) {
+                        throw new Error('Ingen GPS-punkter funnet i JPS-filen');
+                    }
+                    trackData = { name: file.name, type: 'jps', ...result };
+                    
+                    // Logs without ZDA/RMC sentences have no date, ask the user for one
+                    if (trackData.dateSource === 'none') {
+                        const date = this.promptForLogDate(file.name);
+                        if (date) {
+                            applyTrackDate(trackData, date);
+                        }
+                    }
                 } else {
-                    throw new Error('Ugyldig filformat. Støtter kun .gpx, .jps og .log filer.');
+                    throw new Error('Ugyldig filformat. Støtter kun .gpx, .kml, .kmz, .igc, .fit, .geojson, .json, .csv, .tsv, .jps og .log filer.');
                 }
             }
 
@@ -193,13 +369,140 @@ class GPSTrackViewer {
                 throw new Error('Kunne ikke laste data fra filen(e). Ingen gyldige GPS-punkter funnet.');
             }
         } catch (error) {
-            console.error('Error loading file:', error);
-            showError(error.message || 'Feil ved lasting av fil');
+            if (!error.cancelled) {
+                console.error('Error loading file:', error);
+                showError(error.message || 'Feil ved lasting av fil');
+            }
         } finally {
             hideLoading();
         }
     }
 
+    /**
+     * Import FlightCell GPS and flight data logs
+     * Each log is paired with the other log of the same flight by time
+     * overlap. Flight data that arrives after its GPS log is merged into the
+     * existing layer; flight data without a GPS log waits for one.
+     * @param {File[]} files - FlightCell .log files
+     */
+    async importFlightCellLogs(files) {
+        const changedSessions = new Set();
+        
+        for (const file of files) {
+            const result = await this.streamFile(file, 'flightcell');
+            if (result.logType === 'unknown') {
+                showError(`${file.name} er ikke en FlightCell-logg`);
+                continue;
+            }
+            
+            const data = result.logType === 'gps' ? normalizeTrackUnits(result.gps) : result.flight;
+            const { session, unmatched } = this.flightCellSessions.addLog(result.logType, data, file.name);
+            if (unmatched) {
+                showError(`${file.name} overlapper ikke i tid med ${result.logType === 'gps' ? 'flight-dataene' : 'GPS-loggene'} som er lastet, og er ikke slått sammen`);
+            }
+            changedSessions.add(session);
+        }
+        
+        for (const session of changedSessions) {
+            if (!session.gps) {
+                showError(`${session.fileNames.flight} er lastet. Legg til GPS-loggen for samme tur for å vise den.`);
+                continue;
+            }
+            
+            const trackData = this.flightCellSessions.buildTrackData(session);
+            const layer = this.layers.find(l => l.id === session.layerId);
+            
+            if (layer) {
+                layer.data = trackData;
+                await this.showLayerData(layer);
+            } else {
+                const added = await this.addLayer(trackData);
+                if (added) {
+                    session.layerId = added.id;
+                }
+            }
+        }
+    }
+
+    /**
+     * Show an updated layer in the map, stats and charts
+     */
+    async showLayerData(layer) {
+        this.currentTrackData = layer.data;
+        
+        document.getElementById('toggle3DBtn').style.display = this.has3DCapableLayer() ? 'block' : 'none';
+        this.renderLayers();
+        await this.displayAllLayers();
+        
+        const stats = this.refreshStatistics();
+        this.displayIngestionReport(layer.data);
+        this.displayFlightInfo(layer.data);
+        this.displaySensorAlignment(layer.data);
+        this.chartController.initCharts(layer.data.points, layer.data.sensors, stats.phases);
+        this.setupPlayback(layer.data.points.length);
+    }
+
+    /**
+     * Stream-parse a line-based log in a Web Worker
+     * Progress is shown in the loading overlay, where the parse can be cancelled.
+     * @param {File} file - Log file
+     * @param {string} format - 'jps', 'igc' or 'flightcell'
+     * @param {object} options - Parser options
+     * @returns {Promise<object>} Parser result
+     */
+    async streamFile(file, format, options = {}) {
+        this.parseTask = parseFileInWorker(file, format, options, showLoadingProgress);
+        
+        try {
+            return await this.parseTask.promise;
+        } finally {
+            this.parseTask = null;
+        }
+    }
+
+    /**
+     * Import a CSV/TSV file through the column-mapping dialog
+     * @param {File} file - CSV or TSV file
+     * @returns {object|null} Track data, or null if the user cancelled
+     */
+    async importCSV(file) {
+        const text = await file.text();
+        
+        // The dialog needs the screen while the user maps columns
+        hideLoading();
+        const result = await this.csvMappingController.open(file.name, text);
+        if (!result) return null;
+        showLoading();
+        
+        const trackData = {
+            name: file.name,
+            ...buildCSVTrack(result.rows, result.settings)
+        };
+        if (trackData.skippedRows > 0) {
+            showError(`${trackData.skippedRows} rader uten gyldig posisjon ble hoppet over`);
+        }
+        return trackData;
+    }
+
+    /**
+     * Ask the user for the UTC date of a log without date sentences
+     * @param {string} fileName - Name of the log file
+     * @returns {Date|null} Selected date, or null to keep today's date
+     */
+    promptForLogDate(fileName) {
+        const today = new Date().toISOString().slice(0, 10);
+        const answer = prompt(`${fileName} mangler dato (ZDA/RMC). Oppgi UTC-dato for loggen (ÅÅÅÅ-MM-DD):`, today);
+        if (!answer) return null;
+        
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(answer.trim());
+        if (!match) {
+            showError('Ugyldig dato, bruker dagens dato');
+            return null;
+        }
+        
+        return new Date(Date.UTC(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3])));
+    }
+
     /**
      * Load example data
      */
@@ -237,6 +540,7 @@ class GPSTrackViewer {
 
     /**
      * Add a new layer
+     * @returns {object|undefined} The added layer, or undefined if the track has no points
      */
     async addLayer(trackData) {
         // Validate track data
@@ -246,6 +550,9 @@ class GPSTrackViewer {
             return;
         }
 
+        // Bring every source to the SI point schema before anything reads it
+        normalizeTrackUnits(trackData);
+
         const layerId = Date.now();
         const colorIndex = this.layers.length % this.layerColors.length;
         
@@ -279,8 +586,13 @@ class GPSTrackViewer {
         // Update stats and charts for current track
         const stats = calculateStatistics(trackData.points);
         this.displayStatistics(stats);
-        this.chartController.initCharts(trackData.points);
+        this.displayIngestionReport(trackData);
+        this.displayFlightInfo(trackData);
+        this.displaySensorAlignment(trackData);
+        this.chartController.initCharts(trackData.points, trackData.sensors, stats.phases);
         this.setupPlayback(trackData.points.length);
+        
+        return layer;
     }
 
     /**
@@ -309,7 +621,11 @@ class GPSTrackViewer {
             this.mapController.clearAllLayers();
             this.layers.forEach(layer => {
                 if (layer.visible) {
-                    this.mapController.displayLayer(layer.data.points, layer.color, layer.id);
+                    this.mapController.displayLayer(layer.data.points, layer.color, layer.id, {
+                        routes: layer.data.routes,
+                        waypoints: layer.data.waypoints,
+                        overlays: layer.data.overlays
+                    });
                 }
             });
             
@@ -337,7 +653,7 @@ class GPSTrackViewer {
                 <div class="layer-color" style="background-color: ${layer.color};"></div>
                 <div class="layer-info">
                     <div class="layer-name">${layer.name}</div>
-                    <div class="layer-stats">${layer.data.points.length} punkter</div>
+                    <div class="layer-stats">${this.describeLayerContents(layer.data)}</div>
                 </div>
                 <div class="layer-actions">
                     <button class="icon-btn" data-action="toggle" data-layer-id="${layer.id}" title="${layer.visible ? 'Skjul' : 'Vis'}">
@@ -348,6 +664,20 @@ class GPSTrackViewer {
                             }
                         </svg>
                     </button>
+                    <button class="icon-btn" data-action="export" data-layer-id="${layer.id}" title="Eksporter">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
+                            <polyline points="7 10 12 15 17 10"/>
+                            <line x1="12" y1="15" x2="12" y2="3"/>
+                        </svg>
+                    </button>
+                    <div class="layer-export-menu" hidden>
+                        <button data-format="gpx">GPX</button>
+                        <button data-format="kml">KML</button>
+                        <button data-format="csv">CSV</button>
+                        <button data-format="geojson">GeoJSON (linje)</button>
+                        <button data-format="geojson-points">GeoJSON (punkter)</button>
+                    </div>
                     <button class="icon-btn" data-action="remove" data-layer-id="${layer.id}" title="Fjern">
                         <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <polyline points="3 6 5 6 21 6"/>
@@ -359,15 +689,46 @@ class GPSTrackViewer {
             
             // Add event listeners
             const toggleBtn = layerItem.querySelector('[data-action="toggle"]');
+            const exportBtn = layerItem.querySelector('[data-action="export"]');
             const removeBtn = layerItem.querySelector('[data-action="remove"]');
             
             toggleBtn.addEventListener('click', () => this.toggleLayer(layer.id));
+            const exportMenu = layerItem.querySelector('.layer-export-menu');
+            exportBtn.addEventListener('click', () => {
+                exportMenu.hidden = !exportMenu.hidden;
+            });
+            exportMenu.querySelectorAll('[data-format]').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    exportMenu.hidden = true;
+                    this.exportLayer(layer.id, btn.dataset.format);
+                });
+            });
             removeBtn.addEventListener('click', () => this.removeLayer(layer.id));
             
             layersList.appendChild(layerItem);
         });
     }
 
+    /**
+     * Describe the contents of a layer for the layers list
+     */
+    describeLayerContents(trackData) {
+        const parts = [`${trackData.points.length} punkter`];
+        if (trackData.tracks && trackData.tracks.length > 1) {
+            parts.push(`${trackData.tracks.length} spor`);
+        }
+        if (trackData.routes && trackData.routes.length > 0) {
+            parts.push(`${trackData.routes.length} ruter`);
+        }
+        if (trackData.waypoints && trackData.waypoints.length > 0) {
+            parts.push(`${trackData.waypoints.length} veipunkter`);
+        }
+        if (trackData.overlays && trackData.overlays.length > 0) {
+            parts.push(`${trackData.overlays.length} områder`);
+        }
+        return parts.join(' · ');
+    }
+
     /**
      * Toggle layer visibility
      */
@@ -380,6 +741,32 @@ class GPSTrackViewer {
         }
     }
 
+    /**
+     * Export a layer as GPX 1.1, KML, CSV or GeoJSON
+     */
+    exportLayer(layerId, format) {
+        const layer = this.layers.find(l => l.id === layerId);
+        if (!layer) return;
+        
+        try {
+            const baseName = layer.name.replace(/\.[^.]+$/, '');
+            if (format === 'gpx') {
+                downloadFile(exportToGPX(layer.data), `${baseName}.gpx`, 'application/gpx+xml');
+            } else if (format === 'kml') {
+                downloadFile(exportToKML(layer.data, layer.color), `${baseName}.kml`, 'application/vnd.google-earth.kml+xml');
+            } else if (format === 'csv') {
+                downloadFile(exportToCSV(layer.data), `${baseName}.csv`, 'text/csv');
+            } else if (format === 'geojson') {
+                downloadFile(exportToGeoJSON(layer.data, 'line'), `${baseName}.geojson`, 'application/geo+json');
+            } else if (format === 'geojson-points') {
+                downloadFile(exportToGeoJSON(layer.data, 'points'), `${baseName}_punkter.geojson`, 'application/geo+json');
+            }
+        } catch (error) {
+            console.error('Error exporting layer:', error);
+            showError(`Kunne ikke eksportere ${format.split('-')[0].toUpperCase()}-fil`);
+        }
+    }
+
     /**
      * Remove a layer
      */
@@ -387,6 +774,7 @@ class GPSTrackViewer {
         const index = this.layers.findIndex(l => l.id === layerId);
         if (index !== -1) {
             this.layers.splice(index, 1);
+            this.flightCellSessions.removeLayer(layerId);
             this.updateLayerCount();
             this.renderLayers();
             await this.displayAllLayers();
@@ -396,7 +784,10 @@ class GPSTrackViewer {
                 this.currentTrackData = this.layers[this.layers.length - 1].data;
                 const stats = calculateStatistics(this.currentTrackData.points);
                 this.displayStatistics(stats);
-                this.chartController.initCharts(this.currentTrackData.points);
+                this.displayIngestionReport(this.currentTrackData);
+                this.displayFlightInfo(this.currentTrackData);
+                this.displaySensorAlignment(this.currentTrackData);
+                this.chartController.initCharts(this.currentTrackData.points, this.currentTrackData.sensors, stats.phases);
             } else {
                 // No layers left, show upload area
                 this.showUploadArea();
@@ -412,6 +803,7 @@ class GPSTrackViewer {
     clearAllLayers() {
         if (confirm('Er du sikker på at du vil fjerne alle spor?')) {
             this.layers = [];
+            this.flightCellSessions.clear();
             this.mapController.clearAllLayers();
             this.cesiumController.clear();
             this.showUploadArea();
@@ -473,6 +865,18 @@ class GPSTrackViewer {
         }
     }
 
+    /**
+     * Recalculate and display statistics for the current track
+     * @returns {object|undefined} The statistics, for charts that share them
+     */
+    refreshStatistics() {
+        if (!this.currentTrackData) return;
+        
+        const stats = calculateStatistics(this.currentTrackData.points);
+        this.displayStatistics(stats);
+        return stats;
+    }
+
     /**
      * Display statistics
      */
@@ -515,6 +919,360 @@ class GPSTrackViewer {
         document.getElementById('statMinVPL').textContent = formatProtectionLevel(stats.minVPL);
         document.getElementById('statAvgVPL').textContent = formatProtectionLevel(stats.avgVPL);
         document.getElementById('statMaxVPL').textContent = formatProtectionLevel(stats.maxVPL);
+        
+        // Position error, labelled by source
+        const errorSourceLabel = stats.errorSource === 'dop' ? ' (DOP-estimat)' : (stats.errorSource === 'gst' ? ' (GST)' : '');
+        document.getElementById('statHErrorLabel').textContent = 'Horisontal feil' + errorSourceLabel;
+        document.getElementById('statAvgHError1s').textContent = formatPositionError(stats.avgHError1s);
+        document.getElementById('statAvgHError95').textContent = formatPositionError(stats.avgHError95);
+        document.getElementById('statMaxHError95').textContent = formatPositionError(stats.maxHError95);
+        document.getElementById('statVErrorLabel').textContent = 'Vertikal feil' + errorSourceLabel;
+        document.getElementById('statAvgVError1s').textContent = formatPositionError(stats.avgVError1s);
+        document.getElementById('statAvgVError95').textContent = formatPositionError(stats.avgVError95);
+        document.getElementById('statMaxVError95').textContent = formatPositionError(stats.maxVError95);
+        
+        // Derived channels
+        Object.entries(DERIVED_CHANNELS).forEach(([key, channel]) => {
+            const name = key.charAt(0).toUpperCase() + key.slice(1);
+            ['min', 'avg', 'max'].forEach(prefix => {
+                const id = `stat${prefix.charAt(0).toUpperCase() + prefix.slice(1)}${name}`;
+                document.getElementById(id).textContent = channel.format(stats[`${prefix}${name}`]);
+            });
+        });
+        
+        this.displayIntegrity(stats);
+        this.displayFlightPhases(stats.phases);
+        this.displayLogbook(stats.flights);
+    }
+
+    /**
+     * Display HPL/VPL alert limit exceedances for the active integrity model
+     */
+    displayIntegrity(stats) {
+        const { integrityModel: model, integrity } = stats;
+        const container = document.getElementById('integrityResult');
+        
+        if (!model.hal && !model.val) {
+            container.innerHTML = '<div class="report-row"><span>Ingen varslingsgrenser satt (HAL/VAL)</span></div>';
+            return;
+        }
+        
+        const row = (label, value, className = '') => `
+            <div class="report-row ${className}">
+                <span>${label}</span>
+                <span class="report-value">${value}</span>
+            </div>
+        `;
+        
+        let html = row('K<sub>H</sub> / K<sub>V</sub>', `${model.kH} / ${model.kV}`);
+        if (model.hal) {
+            html += row(`HPL > HAL (${formatProtectionLevel(model.hal)})`, `${integrity.hplExceedances} epoker`, integrity.hplExceedances > 0 ? 'warning' : '');
+        }
+        if (model.val) {
+            html += row(`VPL > VAL (${formatProtectionLevel(model.val)})`, `${integrity.vplExceedances} epoker`, integrity.vplExceedances > 0 ? 'warning' : '');
+        }
+        html += row('Tid utilgjengelig', formatDuration(integrity.unavailableSeconds), integrity.unavailableSeconds > 0 ? 'warning' : '');
+        
+        // List the first flagged epochs, the PDF report has all of them
+        const maxListed = 10;
+        integrity.flaggedEpochs.slice(0, maxListed).forEach(epoch => {
+            const limits = [
+                epoch.hplExceeded ? `HPL ${formatProtectionLevel(epoch.hpl)}` : null,
+                epoch.vplExceeded ? `VPL ${formatProtectionLevel(epoch.vpl)}` : null
+            ].filter(Boolean).join(', ');
+            html += row(epoch.time ? epoch.time.toLocaleTimeString('no-NO') : `Punkt ${epoch.index + 1}`, limits, 'indent');
+        });
+        if (integrity.flaggedEpochs.length > maxListed) {
+            html += row(`... og ${integrity.flaggedEpochs.length - maxListed} til`, '', 'indent');
+        }
+        
+        container.innerHTML = html;
+    }
+
+    /**
+     * Display the flight phase table with statistics per phase
+     * Hidden when the track has no timestamps.
+     */
+    displayFlightPhases(phases) {
+        const container = document.getElementById('flightPhases');
+        
+        if (phases.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+        
+        const rows = phases.map(segment => {
+            const phase = FLIGHT_PHASES[segment.phase];
+            const { stats } = segment;
+            return `
+                <tr>
+                    <td><span class="phase-swatch" style="background-color: ${phase.color};"></span>${phase.name}</td>
+                    <td>${segment.startTime.toLocaleTimeString('no-NO')}</td>
+                    <td>${formatDuration(stats.duration)}</td>
+                    <td>${formatDistance(stats.distance)}</td>
+                    <td>${formatSpeed(stats.avgSpeed)}</td>
+                    <td>${stats.maxElevation !== null ? formatElevation(stats.maxElevation) : '-'}</td>
+                    <td>${formatVerticalSpeed(stats.avgVerticalRate)}</td>
+                </tr>
+            `;
+        }).join('');
+        
+        document.getElementById('flightPhasesContent').innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr><th>Fase</th><th>Start</th><th>Varighet</th><th>Distanse</th><th>Snittfart</th><th>Maks høyde</th><th>Snitt vertikalfart</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+        container.style.display = 'block';
+    }
+
+    /**
+     * Display the logbook of detected flights
+     * Each flight can be added as its own layer from block-off to block-on.
+     */
+    displayLogbook(flights) {
+        const container = document.getElementById('logbook');
+        this.logbookFlights = flights;
+        
+        if (flights.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+        
+        const time = (date) => date.toLocaleTimeString('no-NO', { hour: '2-digit', minute: '2-digit' });
+        const rows = flights.map(flight => `
+            <tr>
+                <td>${flight.number}${flight.complete ? '' : ' *'}</td>
+                <td>${flight.blockOff.toLocaleDateString('no-NO')}</td>
+                <td>${time(flight.blockOff)}</td>
+                <td>${time(flight.takeoff)}</td>
+                <td>${time(flight.landing)}</td>
+                <td>${time(flight.blockOn)}</td>
+                <td>${formatDuration(flight.blockSeconds)}</td>
+                <td>${formatDuration(flight.airborneSeconds)}</td>
+                <td>${formatDistance(flight.distance)}</td>
+                <td><button class="btn btn-secondary btn-sm" data-flight="${flight.number}">Vis som lag</button></td>
+            </tr>
+        `).join('');
+        
+        const content = document.getElementById('logbookContent');
+        content.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr><th>#</th><th>Dato</th><th>Block av</th><th>Avgang</th><th>Landing</th><th>Block på</th><th>Blokktid</th><th>Lufttid</th><th>Distanse</th><th></th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            ${flights.some(flight => !flight.complete) ? '<p class="data-table-note">* Loggen slutter før landing</p>' : ''}
+        `;
+        content.querySelectorAll('[data-flight]').forEach(btn => {
+            btn.addEventListener('click', () => this.addFlightLayer(parseInt(btn.dataset.flight)));
+        });
+        container.style.display = 'block';
+    }
+
+    /**
+     * Add one detected flight of the current track as its own layer
+     */
+    async addFlightLayer(number) {
+        const flight = this.logbookFlights.find(f => f.number === number);
+        if (!flight || !this.currentTrackData) return;
+        
+        await this.addLayer(buildFlightTrackData(this.currentTrackData, flight));
+    }
+
+    /**
+     * Download the logbook of the current track as CSV
+     */
+    exportLogbook() {
+        if (!this.logbookFlights || this.logbookFlights.length === 0) return;
+        
+        const baseName = (this.currentTrackData.name || 'spor').replace(/\.[^.]+$/, '');
+        downloadFile(exportLogbookToCSV(this.logbookFlights), `${baseName}_loggbok.csv`, 'text/csv');
+    }
+
+    /**
+     * Display the ingestion report for the current file
+     * Hidden for formats that do not produce one.
+     */
+    displayIngestionReport(trackData) {
+        const container = document.getElementById('ingestionReport');
+        const report = trackData.report;
+        
+        if (!report) {
+            container.style.display = 'none';
+            return;
+        }
+        
+        const reasons = {
+            checksum: 'Feil sjekksum',
+            missingChecksum: 'Manglende sjekksum',
+            notSentence: 'Ikke NMEA-setning',
+            invalid: 'Ugyldig innhold'
+        };
+        const rejectedTotal = Object.values(report.rejected).reduce((a, b) => a + b, 0);
+        const unknownTotal = Object.values(report.unknownTypes).reduce((a, b) => a + b, 0);
+        
+        const row = (label, value, className = '') => `
+            <div class="report-row ${className}">
+                <span>${label}</span>
+                <span class="report-value">${value.toLocaleString('no-NO')}</span>
+            </div>
+        `;
+        
+        let html = row('Linjer totalt', report.totalLines);
+        html += row('Godkjent', report.accepted);
+        html += row('Avvist', rejectedTotal, rejectedTotal > 0 ? 'warning' : '');
+        Object.entries(reasons).forEach(([key, label]) => {
+            if (report.rejected[key] > 0) {
+                html += row(label, report.rejected[key], 'indent');
+            }
+        });
+        html += row('Ukjente setningstyper', unknownTotal);
+        Object.entries(report.unknownTypes).forEach(([type, count]) => {
+            html += row(type, count, 'indent');
+        });
+        
+        document.getElementById('ingestionReportContent').innerHTML = html;
+        container.style.display = 'block';
+    }
+
+    /**
+     * Display the IGC flight header, task and security record
+     */
+    displayFlightInfo(trackData) {
+        const container = document.getElementById('flightInfo');
+        const header = trackData.header;
+        
+        if (trackData.type !== 'igc' || !header) {
+            container.style.display = 'none';
+            return;
+        }
+        
+        const row = (label, value, className = '') => `
+            <div class="report-row ${className}">
+                <span>${label}</span>
+                <span class="report-value">${escapeHtml(value)}</span>
+            </div>
+        `;
+        const fields = {
+            pilot: 'Pilot',
+            copilot: 'Andrepilot',
+            gliderType: 'Flytype',
+            gliderId: 'Registrering',
+            competitionId: 'Konkurransenummer',
+            competitionClass: 'Klasse',
+            loggerType: 'Logger',
+            firmware: 'Fastvare',
+            pressureSensor: 'Trykksensor'
+        };
+        
+        let html = '';
+        if (trackData.points[0].time) {
+            html += row('Dato', trackData.points[0].time.toLocaleDateString('no-NO', { timeZone: 'UTC' }));
+        }
+        Object.entries(fields).forEach(([key, label]) => {
+            if (header[key]) {
+                html += row(label, header[key]);
+            }
+        });
+        if (trackData.extensions.length > 0) {
+            html += row('Utvidelser', trackData.extensions.join(', '));
+        }
+        html += row('Høydekanaler', [
+            trackData.altitudeChannels.pressure ? 'trykk' : null,
+            trackData.altitudeChannels.gnss ? 'GNSS' : null
+        ].filter(Boolean).join(' og ') || 'ingen');
+        if (trackData.task) {
+            html += row('Oppgave', trackData.task.description || `${trackData.task.points.length} punkter`);
+            trackData.task.points.forEach(point => {
+                html += row(escapeHtml(point.name || 'Punkt'), `${point.lat.toFixed(4)}, ${point.lon.toFixed(4)}`, 'indent');
+            });
+        }
+        html += row('G-record (signatur)', trackData.signature === 'present' ? 'Til stede' : 'Mangler',
+            trackData.signature === 'present' ? '' : 'warning');
+        
+        document.getElementById('flightInfoContent').innerHTML = html;
+        container.style.display = 'block';
+    }
+
+    /**
+     * Display the GPS/IMU alignment settings and how many points got attitude
+     */
+    displaySensorAlignment(trackData) {
+        const container = document.getElementById('sensorAlignment');
+        const sensors = trackData.sensors;
+        
+        if (!sensors) {
+            container.style.display = 'none';
+            return;
+        }
+        
+        const row = (label, value, className = '') => `
+            <div class="report-row ${className}">
+                <span>${label}</span>
+                <span class="report-value">${escapeHtml(value)}</span>
+            </div>
+        `;
+        const samples = sensors.imuSamples;
+        const duration = samples.length > 1
+            ? (samples[samples.length - 1].time - samples[0].time) / 1000
+            : 0;
+        const withAttitude = trackData.points.filter(p => p.pitch !== null && p.pitch !== undefined).length;
+        
+        let html = row('IMU-samples', samples.length.toLocaleString('no-NO'));
+        if (duration > 0) {
+            html += row('IMU-rate', `${((samples.length - 1) / duration).toFixed(1)} Hz`);
+        }
+        html += row('GPS-punkter', sensors.gpsPoints.length.toLocaleString('no-NO'));
+        if (sensors.estimate) {
+            const { offsetMs, confidence } = sensors.estimate;
+            html += row('Estimert forskyvning', `${offsetMs > 0 ? '+' : ''}${offsetMs} ms`);
+            html += row('Konfidens', `${Math.round(confidence * 100)} %`, confidence < 0.5 ? 'warning' : '');
+        } else {
+            html += row('Estimert forskyvning', 'For lite manøvrering til å estimere', 'warning');
+        }
+        html += row('Punkter med attitude', `${withAttitude.toLocaleString('no-NO')} av ${trackData.points.length.toLocaleString('no-NO')}`,
+            withAttitude < trackData.points.length ? 'warning' : '');
+        
+        document.getElementById('sensorClockOffset').value = sensors.alignment.clockOffsetMs;
+        document.getElementById('sensorAlignMode').value = sensors.alignment.mode;
+        document.getElementById('sensorAttitudeSource').value = sensors.alignment.attitudeSource;
+        document.getElementById('sensorAlignmentContent').innerHTML = html;
+        document.getElementById('applyClockOffsetBtn').style.display =
+            sensors.estimate && sensors.estimate.offsetMs !== sensors.alignment.clockOffsetMs ? 'block' : 'none';
+        container.style.display = 'block';
+    }
+
+    /**
+     * Merge the current FlightCell track again with new alignment settings
+     * @param {object} changes - { clockOffsetMs, mode }
+     */
+    async realignSensors(changes) {
+        const trackData = this.currentTrackData;
+        if (!trackData || !trackData.sensors) return;
+        
+        const alignment = { ...trackData.sensors.alignment, ...changes };
+        const points = mergeFlightCellData(trackData.sensors.gpsPoints, trackData.sensors.imuSamples, alignment);
+        
+        // Upsampling to the IMU rate gives nothing when the logs no longer overlap
+        if (points.length === 0) {
+            showError('Ingen GPS-punkter overlapper med IMU-dataene med denne forskyvningen');
+            this.displaySensorAlignment(trackData);
+            return;
+        }
+        
+        trackData.sensors.alignment = alignment;
+        trackData.points = points;
+        
+        const stats = this.refreshStatistics();
+        this.displaySensorAlignment(trackData);
+        this.chartController.initCharts(trackData.points, trackData.sensors, stats.phases);
+        this.setupPlayback(trackData.points.length);
+        this.renderLayers();
+        await this.displayAllLayers();
     }
 
     /**
@@ -647,7 +1405,21 @@ class GPSTrackViewer {
                 ['VDOP (min/avg/maks)', `${formatDOP(stats.minVDOP)} / ${formatDOP(stats.avgVDOP)} / ${formatDOP(stats.maxVDOP)}`],
                 ['PDOP (min/avg/maks)', `${formatDOP(stats.minPDOP)} / ${formatDOP(stats.avgPDOP)} / ${formatDOP(stats.maxPDOP)}`],
                 ['HPL (min/avg/maks)', `${formatProtectionLevel(stats.minHPL)} / ${formatProtectionLevel(stats.avgHPL)} / ${formatProtectionLevel(stats.maxHPL)}`],
-                ['VPL (min/avg/maks)', `${formatProtectionLevel(stats.minVPL)} / ${formatProtectionLevel(stats.avgVPL)} / ${formatProtectionLevel(stats.maxVPL)}`]
+                ['VPL (min/avg/maks)', `${formatProtectionLevel(stats.minVPL)} / ${formatProtectionLevel(stats.avgVPL)} / ${formatProtectionLevel(stats.maxVPL)}`],
+                ['', ''], // Separator
+                ...Object.entries(DERIVED_CHANNELS).map(([key, channel]) => {
+                    const name = key.charAt(0).toUpperCase() + key.slice(1);
+                    return [`${channel.name} (min/avg/maks)`, `${channel.format(stats[`min${name}`])} / ${channel.format(stats[`avg${name}`])} / ${channel.format(stats[`max${name}`])}`];
+                }),
+                ['', ''], // Separator
+                ['Feilkilde', stats.errorSource === 'gst' ? 'GST (mottakerens feilstatistikk)' : (stats.errorSource === 'dop' ? 'DOP-estimat (DOP × URA)' : '-')],
+                ['Horisontal feil (1σ avg / 95% avg / 95% maks)', `${formatPositionError(stats.avgHError1s)} / ${formatPositionError(stats.avgHError95)} / ${formatPositionError(stats.maxHError95)}`],
+                ['Vertikal feil (1σ avg / 95% avg / 95% maks)', `${formatPositionError(stats.avgVError1s)} / ${formatPositionError(stats.avgVError95)} / ${formatPositionError(stats.maxVError95)}`],
+                ['', ''], // Separator
+                ['Integritetsprofil', `${stats.integrityModel.name} (KH ${stats.integrityModel.kH}, KV ${stats.integrityModel.kV}, URA ${formatPositionError(stats.integrityModel.ura)})`],
+                ['HAL / VAL', `${stats.integrityModel.hal ? formatProtectionLevel(stats.integrityModel.hal) : '-'} / ${stats.integrityModel.val ? formatProtectionLevel(stats.integrityModel.val) : '-'}`],
+                ['Epoker HPL > HAL / VPL > VAL', `${stats.integrity.hplExceedances} / ${stats.integrity.vplExceedances}`],
+                ['Tid utilgjengelig', formatDuration(stats.integrity.unavailableSeconds)]
             ];
 
             doc.autoTable({
@@ -659,8 +1431,74 @@ class GPSTrackViewer {
                 margin: { left: 14, right: 14 }
             });
 
-            // GPS Points table (sample first 50 points)
             let finalY = doc.lastAutoTable.finalY + 10;
+
+            // Every epoch where a protection level exceeded its alert limit
+            if (stats.integrity.flaggedEpochs.length > 0) {
+                if (finalY > 250) {
+                    doc.addPage();
+                    finalY = 20;
+                }
+
+                doc.setFontSize(14);
+                doc.text('Epoker over varslingsgrense', 14, finalY);
+
+                const flaggedData = stats.integrity.flaggedEpochs.map(epoch => [
+                    (epoch.index + 1).toString(),
+                    epoch.time ? epoch.time.toLocaleTimeString('no-NO') : '-',
+                    formatProtectionLevel(epoch.hpl) + (epoch.hplExceeded ? ' !' : ''),
+                    formatProtectionLevel(epoch.vpl) + (epoch.vplExceeded ? ' !' : '')
+                ]);
+
+                doc.autoTable({
+                    startY: finalY + 5,
+                    head: [['#', 'Tid', 'HPL', 'VPL']],
+                    body: flaggedData,
+                    theme: 'grid',
+                    headStyles: { fillColor: [239, 68, 68] },
+                    styles: { fontSize: 8 },
+                    margin: { left: 14, right: 14 }
+                });
+
+                finalY = doc.lastAutoTable.finalY + 10;
+            }
+
+            // Flight phases with their own statistics
+            if (stats.phases.length > 0) {
+                if (finalY > 250) {
+                    doc.addPage();
+                    finalY = 20;
+                }
+
+                doc.setFontSize(14);
+                doc.text('Flyfaser', 14, finalY);
+
+                const phaseData = stats.phases.map(segment => [
+                    FLIGHT_PHASES[segment.phase].name,
+                    segment.startTime.toLocaleTimeString('no-NO'),
+                    formatDuration(segment.stats.duration),
+                    formatDistance(segment.stats.distance),
+                    formatSpeed(segment.stats.avgSpeed),
+                    segment.stats.maxSpeed !== null ? formatSpeed(segment.stats.maxSpeed) : '-',
+                    segment.stats.minElevation !== null ? formatElevation(segment.stats.minElevation) : '-',
+                    segment.stats.maxElevation !== null ? formatElevation(segment.stats.maxElevation) : '-',
+                    formatVerticalSpeed(segment.stats.avgVerticalRate)
+                ]);
+
+                doc.autoTable({
+                    startY: finalY + 5,
+                    head: [['Fase', 'Start', 'Varighet', 'Distanse', 'Snittfart', 'Maks fart', 'Min høyde', 'Maks høyde', 'Vertikalfart']],
+                    body: phaseData,
+                    theme: 'grid',
+                    headStyles: { fillColor: [59, 130, 246] },
+                    styles: { fontSize: 8 },
+                    margin: { left: 14, right: 14 }
+                });
+
+                finalY = doc.lastAutoTable.finalY + 10;
+            }
+
+            // GPS Points table (sample first 50 points)
             
             if (finalY > 250) {
                 doc.addPage();
@@ -674,8 +1512,8 @@ class GPSTrackViewer {
                 (i + 1).toString(),
                 p.lat.toFixed(6),
                 p.lon.toFixed(6),
-                p.elevation ? `${Math.round(p.elevation * 3.28084)} ft` : '-',
-                p.speed ? `${(p.speed * 1.94384).toFixed(1)} kn` : '-',
+                p.elevation ? formatElevation(p.elevation) : '-',
+                p.speed ? formatSpeed(p.speed) : '-',
                 p.time ? p.time.toLocaleTimeString('no-NO') : '-'
             ]);
 
@@ -0,0 +1,119 @@
+// ==================== Attitude Fusion ====================
+
+/**
+ * Complementary filter settings
+ * Gyro rates (deg/s) are integrated and pulled towards the accelerometer
+ * tilt with tiltTimeConstant, and towards the GPS course with
+ * yawTimeConstant. Accelerometer samples that deviate more than
+ * maxAccelDeviation from 1 g are manoeuvre loads and not used for tilt.
+ * The course is only trusted above minCourseSpeed.
+ */
+const ATTITUDE_FUSION = {
+    tiltTimeConstant: 2,
+    yawTimeConstant: 10,
+    maxAccelDeviation: 0.15,
+    minCourseSpeed: 3,
+    maxStepSeconds: 1
+};
+
+/**
+ * Rebuild roll, pitch and yaw from raw gyro and accelerometer samples
+ *
+ * A level logger is assumed to read +1 g on z, with gyro x/y/z as roll,
+ * pitch and yaw rates. The accelerometer scale is taken from the median
+ * magnitude, so samples in g and m/s² both work. Gaps longer than
+ * maxStepSeconds restart the filter from the accelerometer tilt.
+ * @param {array} samples - IMU samples on the GPS clock, in time order
+ * @param {array} gpsPoints - GPS points giving the yaw reference
+ * @param {object} options - Overrides for ATTITUDE_FUSION
+ * @returns {array} { pitch, roll, yaw } in degrees per sample, null where gyro/accel are missing
+ */
+function fuseAttitude(samples, gpsPoints, options = {}) {
+    const settings = { ...ATTITUDE_FUSION, ...options };
+    const gravity = getMedianAccelMagnitude(samples);
+    const toRadians = Math.PI / 180;
+    let state = null;
+    let lastTime = null;
+    
+    return samples.map(sample => {
+        if (!sample.gyro || !sample.accel || !gravity) {
+            state = null;
+            return null;
+        }
+        
+        const timeMs = sample.time.getTime();
+        const dt = lastTime !== null ? (timeMs - lastTime) / 1000 : 0;
+        lastTime = timeMs;
+        
+        const tilt = getAccelTilt(sample.accel);
+        const gps = interpolateGPSPoint(gpsPoints, timeMs, 5000);
+        const course = gps && gps.speed >= settings.minCourseSpeed
+            ? (gps.heading !== null && gps.heading !== undefined ? gps.heading : gps.course)
+            : null;
+        
+        if (!state || dt <= 0 || dt > settings.maxStepSeconds) {
+            state = { roll: tilt.roll, pitch: tilt.pitch, yaw: course !== null && course !== undefined ? course : 0 };
+            return { ...state };
+        }
+        
+        // Integrate body rates as Euler angle rates
+        const roll = state.roll * toRadians;
+        const pitch = state.pitch * toRadians;
+        const p = sample.gyro.x;
+        const q = sample.gyro.y;
+        const r = sample.gyro.z;
+        const cosPitch = Math.max(Math.cos(pitch), 0.01);
+        state.roll += (p + (q * Math.sin(roll) + r * Math.cos(roll)) * Math.tan(pitch)) * dt;
+        state.pitch += (q * Math.cos(roll) - r * Math.sin(roll)) * dt;
+        state.yaw += (q * Math.sin(roll) + r * Math.cos(roll)) / cosPitch * dt;
+        
+        // Pull towards the accelerometer tilt when it only measures gravity
+        const magnitude = Math.hypot(sample.accel.x, sample.accel.y, sample.accel.z);
+        if (Math.abs(magnitude / gravity - 1) <= settings.maxAccelDeviation) {
+            const gain = dt / (settings.tiltTimeConstant + dt);
+            state.roll += gain * wrapAngle(tilt.roll - state.roll);
+            state.pitch += gain * (tilt.pitch - state.pitch);
+        }
+        
+        // Pull yaw towards the GPS course
+        if (course !== null && course !== undefined) {
+            const gain = dt / (settings.yawTimeConstant + dt);
+            state.yaw += gain * wrapAngle(course - state.yaw);
+        }
+        
+        state.roll = wrapAngle(state.roll);
+        state.yaw = (state.yaw % 360 + 360) % 360;
+        return { ...state };
+    });
+}
+
+/**
+ * Roll and pitch of the gravity vector in degrees
+ */
+function getAccelTilt(accel) {
+    const toDegrees = 180 / Math.PI;
+    return {
+        roll: Math.atan2(accel.y, accel.z) * toDegrees,
+        pitch: Math.atan2(-accel.x, Math.hypot(accel.y, accel.z)) * toDegrees
+    };
+}
+
+/**
+ * Median accelerometer magnitude, used as 1 g
+ */
+function getMedianAccelMagnitude(samples) {
+    const magnitudes = samples
+        .filter(sample => sample.accel)
+        .map(sample => Math.hypot(sample.accel.x, sample.accel.y, sample.accel.z))
+        .filter(magnitude => !isNaN(magnitude) && magnitude > 0)
+        .sort((a, b) => a - b);
+    
+    return magnitudes.length > 0 ? magnitudes[Math.floor(magnitudes.length / 2)] : null;
+}
+
+/**
+ * Wrap an angle in degrees to -180..180
+ */
+function wrapAngle(angle) {
+    return ((angle + 540) % 360 + 360) % 360 - 180;
+}
@@ -180,10 +180,16 @@ class CesiumController {
             return;
         }
 
-        // Create path positions
-        const positions = validPoints.map(p => 
-            Cesium.Cartesian3.fromDegrees(p.lon, p.lat, p.elevation || 0)
-        );
+        // Create path positions, one list per track segment
+        const segmentPositions = [];
+        validPoints.forEach((p, i) => {
+            if (i === 0 || p.segmentIndex !== validPoints[i - 1].segmentIndex) {
+                segmentPositions.push([]);
+            }
+            segmentPositions[segmentPositions.length - 1].push(
+                Cesium.Cartesian3.fromDegrees(p.lon, p.lat, p.elevation || 0)
+            );
+        });
 
         // Create time-stamped positions for animation
         const startTime = Cesium.JulianDate.fromDate(validPoints[0].time);
@@ -211,7 +217,9 @@ class CesiumController {
                     // Convert pitch and roll from degrees to radians
                     const pitch = Cesium.Math.toRadians(point.pitch);
                     const roll = Cesium.Math.toRadians(point.roll);
-                    const heading = point.heading ? Cesium.Math.toRadians(point.heading) : 0;
+                    // Fused attitude brings its own yaw, otherwise use the GPS heading
+                    const yaw = point.yaw !== null && point.yaw !== undefined ? point.yaw : point.heading;
+                    const heading = yaw ? Cesium.Math.toRadians(yaw) : 0;
                     
                     // Create quaternion from heading, pitch, roll
                     const hpr = new Cesium.HeadingPitchRoll(heading, pitch, roll);
@@ -274,14 +282,38 @@ class CesiumController {
             description: this.createEntityDescription(trackData)
         });
 
-        // Draw the full path as a polyline
-        this.viewer.entities.add({
-            polyline: {
-                positions: positions,
-                width: 3,
-                material: new Cesium.PolylineArrowMaterialProperty(cesiumColor),
-                clampToGround: false
-            }
+        // Draw the full path as polylines, without joining separate segments
+        segmentPositions.filter(positions => positions.length > 1).forEach(positions => {
+            this.viewer.entities.add({
+                polyline: {
+                    positions: positions,
+                    width: 3,
+                    material: new Cesium.PolylineArrowMaterialProperty(cesiumColor),
+                    clampToGround: false
+                }
+            });
+        });
+
+        // Named waypoints from GPX documents
+        (trackData.waypoints || []).forEach(waypoint => {
+            this.viewer.entities.add({
+                position: Cesium.Cartesian3.fromDegrees(waypoint.lon, waypoint.lat, waypoint.elevation || 0),
+                point: {
+                    pixelSize: 8,
+                    color: Cesium.Color.WHITE,
+                    outlineColor: cesiumColor,
+                    outlineWidth: 2
+                },
+                label: {
+                    text: waypoint.name || 'Veipunkt',
+                    font: '11pt sans-serif',
+                    style: Cesium.LabelStyle.FILL_AND_OUTLINE,
+                    outlineWidth: 2,
+                    verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
+                    pixelOffset: new Cesium.Cartesian2(0, -12),
+                    fillColor: Cesium.Color.WHITE
+                }
+            });
         });
 
         // Set up the timeline
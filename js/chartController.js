@@ -4,16 +4,85 @@ class ChartController {
     constructor() {
         this.elevationChart = null;
         this.speedChart = null;
+        this.attitudeChart = null;
+        this.derivedChart = null;
+        this.derivedChannel = 'verticalSpeed';
+        this.points = [];
+        this.phases = [];
+        this.altitudeSource = 'gnss';
         this.isDarkMode = document.documentElement.dataset.theme === 'dark';
     }
 
     /**
      * Initialize charts with track data
+     * @param {array} points - Track points
+     * @param {object} sensors - Raw IMU samples and alignment of FlightCell tracks
+     * @param {array} phases - Flight phases from calculateStatistics, shaded behind the data
      */
-    initCharts(points) {
+    initCharts(points, sensors = null, phases = []) {
         this.destroyCharts();
+        this.points = points;
+        this.phases = phases;
+        this.updateAltitudeSourceControl(points);
         this.createElevationChart(points);
         this.createSpeedChart(points);
+        this.createDerivedChart(points);
+        this.createAttitudeChart(points, sensors);
+    }
+
+    /**
+     * Show the altitude source selector when both pressure and GNSS
+     * altitude are recorded (IGC logs)
+     */
+    updateAltitudeSourceControl(points) {
+        const select = document.getElementById('altitudeSource');
+        if (!select) return;
+        
+        const hasBoth = points.some(p => isFiniteNumber(p.pressureAltitude)) &&
+            points.some(p => isFiniteNumber(p.gnssAltitude));
+        select.style.display = hasBoth ? 'block' : 'none';
+        select.value = this.altitudeSource;
+    }
+
+    /**
+     * Switch the elevation chart between GNSS and pressure altitude
+     */
+    setAltitudeSource(source) {
+        this.altitudeSource = source;
+        
+        if (this.elevationChart) {
+            this.elevationChart.destroy();
+            this.elevationChart = null;
+        }
+        this.createElevationChart(this.points);
+    }
+
+    /**
+     * Get the altitude of a point for the selected source
+     * Points without the selected channel (null in IGC logs that record
+     * only one of them) use their elevation.
+     */
+    getAltitude(point) {
+        if (this.altitudeSource === 'pressure' && isFiniteNumber(point.pressureAltitude)) {
+            return point.pressureAltitude;
+        }
+        if (this.altitudeSource === 'gnss' && isFiniteNumber(point.gnssAltitude)) {
+            return point.gnssAltitude;
+        }
+        return point.elevation;
+    }
+
+    /**
+     * Label of the elevation chart
+     * Pressure altitude is named when it is selected, or when it is the
+     * only altitude channel recorded.
+     */
+    getAltitudeLabel(points) {
+        const hasPressure = points.some(p => isFiniteNumber(p.pressureAltitude));
+        const hasGnss = points.some(p => isFiniteNumber(p.gnssAltitude));
+        const pressure = hasPressure && (this.altitudeSource === 'pressure' || !hasGnss);
+        
+        return `${pressure ? 'Trykkhøyde' : 'Høyde'} (${getUnitLabel('elevation')})`;
     }
 
     /**
@@ -23,13 +92,19 @@ class ChartController {
         const ctx = document.getElementById('elevationChart');
         if (!ctx) return;
 
-        const elevations = points.map(p => p.elevation ? p.elevation * 3.28084 : null).filter(e => e !== null); // Convert to feet
+        // Missing altitudes stay null, so the line has gaps and stays
+        // aligned with the distance labels and phase bands
+        const elevations = points.map(p => {
+            const altitude = this.getAltitude(p);
+            return isFiniteNumber(altitude) ? convertUnit('elevation', altitude) : null;
+        });
+        const label = this.getAltitudeLabel(points);
         const distances = this.calculateCumulativeDistances(points);
         
         const data = {
-            labels: distances.map(d => (d / 1852).toFixed(1)), // Convert to nautical miles
+            labels: distances.map(d => convertUnit('distance', d).toFixed(1)),
             datasets: [{
-                label: 'Høyde (ft)',
+                label: label,
                 data: elevations,
                 borderColor: this.isDarkMode ? '#3b82f6' : '#2563eb',
                 backgroundColor: this.createGradient(ctx, '#3b82f6', 'elevation'),
@@ -47,7 +122,8 @@ class ChartController {
         this.elevationChart = new Chart(ctx, {
             type: 'line',
             data: data,
-            options: this.getChartOptions('Distanse (NM)', 'Høyde (ft)')
+            options: this.getChartOptions(`Distanse (${getUnitLabel('distance')})`, label),
+            plugins: [this.createPhaseBandsPlugin()]
         });
     }
 
@@ -58,7 +134,8 @@ class ChartController {
         const ctx = document.getElementById('speedChart');
         if (!ctx) return;
 
-        const speeds = points.map(p => p.speed ? p.speed * 1.94384 : 0); // Convert to knots
+        const speeds = points.map(p => p.speed ? convertUnit('speed', p.speed) : 0);
+        const speedLabel = `Hastighet (${getUnitLabel('speed')})`;
         const times = points.map((p, i) => i); // Use index as x-axis for time progression
         
         const data = {
@@ -70,7 +147,7 @@ class ChartController {
                 return '';
             }),
             datasets: [{
-                label: 'Hastighet (kn)',
+                label: speedLabel,
                 data: speeds,
                 borderColor: this.isDarkMode ? '#10b981' : '#059669',
                 backgroundColor: this.createGradient(ctx, '#10b981', 'speed'),
@@ -88,7 +165,155 @@ class ChartController {
         this.speedChart = new Chart(ctx, {
             type: 'line',
             data: data,
-            options: this.getChartOptions('Tid', 'Hastighet (kn)')
+            options: this.getChartOptions('Tid', speedLabel),
+            plugins: [this.createPhaseBandsPlugin()]
+        });
+    }
+
+    /**
+     * Switch the derived chart to another channel
+     * Also used to redraw it after the smoothing changes.
+     */
+    setDerivedChannel(channel) {
+        this.derivedChannel = channel;
+        
+        if (this.derivedChart) {
+            this.derivedChart.destroy();
+            this.derivedChart = null;
+        }
+        this.createDerivedChart(this.points);
+    }
+
+    /**
+     * Create the chart of one derived channel against time
+     */
+    createDerivedChart(points) {
+        const ctx = document.getElementById('derivedChart');
+        if (!ctx || points.length === 0) return;
+
+        const channel = DERIVED_CHANNELS[this.derivedChannel];
+        const metrics = calculateDerivedMetrics(points);
+        const label = `${channel.name} (${channel.unit()})`;
+        const values = metrics.map(m => m[this.derivedChannel] !== null
+            ? channel.convert(m[this.derivedChannel])
+            : null);
+
+        const data = {
+            labels: points.map((p, i) => {
+                if (i % Math.ceil(points.length / 10) === 0 && p.time && points[0].time) {
+                    const duration = (p.time - points[0].time) / 1000 / 60; // minutes
+                    return Math.round(duration) + 'm';
+                }
+                return '';
+            }),
+            datasets: [{
+                label: label,
+                data: values,
+                borderColor: this.isDarkMode ? '#f472b6' : '#db2777',
+                borderWidth: 1.5,
+                fill: false,
+                tension: 0.2,
+                pointRadius: 0,
+                pointHoverRadius: 4
+            }]
+        };
+
+        this.derivedChart = new Chart(ctx, {
+            type: 'line',
+            data: data,
+            options: this.getChartOptions('Tid', label),
+            plugins: [this.createPhaseBandsPlugin()]
+        });
+    }
+
+    /**
+     * Chart.js plugin that shades the flight phases behind the data
+     * Both profile charts have one label per point, so phase point
+     * indices map straight onto the x axis.
+     */
+    createPhaseBandsPlugin() {
+        return {
+            id: 'phaseBands',
+            beforeDatasetsDraw: (chart) => {
+                const { ctx, chartArea, scales } = chart;
+                if (!chartArea || this.phases.length === 0) return;
+
+                ctx.save();
+                this.phases.forEach(segment => {
+                    const left = scales.x.getPixelForValue(Math.max(segment.startIndex - 1, 0));
+                    const right = scales.x.getPixelForValue(segment.endIndex);
+                    const rgb = hexToRgb(FLIGHT_PHASES[segment.phase].color);
+                    ctx.fillStyle = `rgba(${rgb.r}, ${rgb.g}, ${rgb.b}, ${this.isDarkMode ? 0.18 : 0.12})`;
+                    ctx.fillRect(left, chartArea.top, right - left, chartArea.bottom - chartArea.top);
+                });
+                ctx.restore();
+            }
+        };
+    }
+
+    /**
+     * Create pitch/roll chart from every IMU sample
+     * Samples are shifted by the clock offset and plotted against minutes
+     * since the track start; Chart.js decimation keeps large logs fast.
+     * With a fused attitude source the filter output is drawn dashed next
+     * to the logger's own values.
+     */
+    createAttitudeChart(points, sensors) {
+        const ctx = document.getElementById('attitudeChart');
+        const card = document.getElementById('attitudeChartCard');
+        if (!ctx || !card) return;
+
+        if (!sensors || sensors.imuSamples.length === 0) {
+            card.style.display = 'none';
+            return;
+        }
+        card.style.display = 'block';
+
+        const samples = prepareSensorSamples(sensors.gpsPoints, sensors.imuSamples, sensors.alignment);
+        const start = points[0].time.getTime();
+        const series = (read) => samples
+            .filter(s => read(s) !== null && read(s) !== undefined)
+            .map(s => ({ x: (s.time.getTime() - start) / 60000, y: read(s) }));
+        const dataset = (label, read, color, dashed = false) => ({
+            label: label,
+            data: series(read),
+            borderColor: color,
+            borderWidth: 1.5,
+            borderDash: dashed ? [4, 3] : [],
+            fill: false,
+            pointRadius: 0,
+            pointHoverRadius: 4
+        });
+        const pitchColor = this.isDarkMode ? '#f59e0b' : '#d97706';
+        const rollColor = this.isDarkMode ? '#a78bfa' : '#7c3aed';
+        const fused = samples.some(s => s.fused);
+        const datasets = fused
+            ? [
+                dataset('Pitch (logger)', s => s.loggerPitch, pitchColor),
+                dataset('Roll (logger)', s => s.loggerRoll, rollColor),
+                dataset('Pitch (fusjon)', s => s.fused ? s.fused.pitch : null, pitchColor, true),
+                dataset('Roll (fusjon)', s => s.fused ? s.fused.roll : null, rollColor, true)
+            ]
+            : [
+                dataset('Pitch', s => s.pitch, pitchColor),
+                dataset('Roll', s => s.roll, rollColor)
+            ];
+
+        const options = this.getChartOptions('Tid (min)', 'Vinkel (°)');
+        options.parsing = false;
+        options.animation = false;
+        options.scales.x.type = 'linear';
+        options.plugins.legend.display = true;
+        options.plugins.legend.labels = { color: this.isDarkMode ? '#cbd5e1' : '#475569' };
+        options.plugins.decimation = { enabled: true, algorithm: 'lttb', samples: 1000 };
+        options.plugins.tooltip.displayColors = true;
+        options.plugins.tooltip.callbacks.label = (context) =>
+            `${context.dataset.label}: ${context.parsed.y.toFixed(1)}°`;
+
+        this.attitudeChart = new Chart(ctx, {
+            type: 'line',
+            data: { datasets },
+            options: options
         });
     }
 
@@ -218,6 +443,14 @@ class ChartController {
         if (this.speedChart) {
             this.updateChartTheme(this.speedChart);
         }
+        
+        if (this.derivedChart) {
+            this.updateChartTheme(this.derivedChart);
+        }
+        
+        if (this.attitudeChart) {
+            this.updateChartTheme(this.attitudeChart);
+        }
     }
 
     /**
@@ -240,6 +473,10 @@ class ChartController {
         chart.options.plugins.tooltip.bodyColor = textColor;
         chart.options.plugins.tooltip.borderColor = gridColor;
         
+        if (chart.options.plugins.legend.labels) {
+            chart.options.plugins.legend.labels.color = textColor;
+        }
+        
         chart.update();
     }
 
@@ -256,6 +493,16 @@ class ChartController {
             this.speedChart.destroy();
             this.speedChart = null;
         }
+        
+        if (this.derivedChart) {
+            this.derivedChart.destroy();
+            this.derivedChart = null;
+        }
+        
+        if (this.attitudeChart) {
+            this.attitudeChart.destroy();
+            this.attitudeChart = null;
+        }
     }
 }
 
@@ -0,0 +1,175 @@
+/**
+ * CSV Mapping Controller
+ * Column-mapping dialog for CSV/TSV imports
+ */
+
+class CSVMappingController {
+    constructor() {
+        this.text = '';
+        this.rows = [];
+        this.resolve = null;
+        
+        this.initEventListeners();
+    }
+    
+    initEventListeners() {
+        document.getElementById('closeCsvMappingModal').addEventListener('click', () => {
+            this.close(null);
+        });
+        
+        document.getElementById('cancelCsvMapping').addEventListener('click', () => {
+            this.close(null);
+        });
+        
+        document.getElementById('confirmCsvMapping').addEventListener('click', () => {
+            this.confirm();
+        });
+        
+        // Re-split the file when the delimiter is changed
+        document.getElementById('csvDelimiter').addEventListener('change', (e) => {
+            this.rows = parseCSVRows(this.text, e.target.value);
+            this.renderFieldMapping(guessCSVMapping(this.rows[0] || []).mapping);
+            this.renderPreview();
+        });
+    }
+    
+    /**
+     * Open the dialog for a CSV file
+     * Starts from the saved preset for the file's header row, or from the
+     * detected format and guessed mapping.
+     * @param {string} fileName - Name of the file
+     * @param {string} text - File content
+     * @returns {Promise<object|null>} { settings, rows } or null if cancelled
+     */
+    open(fileName, text) {
+        this.text = text;
+        
+        const detected = detectCSVFormat(text);
+        const headers = parseCSVRows(text, detected.delimiter)[0] || [];
+        const preset = loadCSVPreset(getCSVHeaderSignature(headers));
+        const settings = preset || {
+            ...DEFAULT_CSV_SETTINGS,
+            ...detected,
+            ...guessCSVMapping(headers)
+        };
+        
+        this.rows = parseCSVRows(text, settings.delimiter);
+        
+        document.getElementById('csvMappingFile').textContent = preset
+            ? `${fileName} – bruker lagret oppsett for disse kolonnene`
+            : `${fileName} – ${Math.max(this.rows.length - 1, 0)} rader`;
+        document.getElementById('csvDelimiter').value = settings.delimiter;
+        document.getElementById('csvDecimal').value = settings.decimalComma ? 'comma' : 'point';
+        document.getElementById('csvCoordinateFormat').value = settings.coordinateFormat;
+        document.getElementById('csvDate').value = settings.date || '';
+        document.getElementById('csvElevationUnit').value = settings.units.elevation;
+        document.getElementById('csvSpeedUnit').value = settings.units.speed;
+        document.getElementById('csvAngleUnit').value = settings.units.angle;
+        
+        this.renderFieldMapping(settings.mapping);
+        this.renderPreview();
+        
+        document.getElementById('csvMappingModal').style.display = 'flex';
+        
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+    
+    /**
+     * Render one column selector per point field
+     */
+    renderFieldMapping(mapping) {
+        const container = document.getElementById('csvFieldMapping');
+        const headers = this.rows[0] || [];
+        
+        container.innerHTML = CSV_FIELDS.map(field => `
+            <label class="settings-field">
+                <span>${field.label}${field.required ? ' *' : ''}</span>
+                <select class="select-control" data-field="${field.key}">
+                    <option value="">Ikke i bruk</option>
+                    ${headers.map((header, i) => `
+                        <option value="${i}" ${mapping[field.key] === i ? 'selected' : ''}>${escapeHtml(header || `Kolonne ${i + 1}`)}</option>
+                    `).join('')}
+                </select>
+            </label>
+        `).join('');
+        
+        container.querySelectorAll('select').forEach(select => {
+            select.addEventListener('change', () => this.renderPreview());
+        });
+    }
+    
+    /**
+     * Render the first rows, highlighting mapped columns
+     */
+    renderPreview() {
+        const mapping = this.getMapping();
+        const mappedColumns = Object.values(mapping);
+        const [headers = [], ...rows] = this.rows;
+        
+        let html = '<thead><tr>';
+        headers.forEach((header, i) => {
+            html += `<th class="${mappedColumns.includes(i) ? 'mapped' : ''}">${escapeHtml(header)}</th>`;
+        });
+        html += '</tr></thead><tbody>';
+        rows.slice(0, 5).forEach(row => {
+            html += `<tr>${row.map(value => `<td>${escapeHtml(value)}</td>`).join('')}</tr>`;
+        });
+        html += '</tbody>';
+        
+        document.getElementById('csvPreview').innerHTML = html;
+    }
+    
+    /**
+     * Read the selected column for each field
+     */
+    getMapping() {
+        const mapping = {};
+        document.querySelectorAll('#csvFieldMapping select').forEach(select => {
+            if (select.value !== '') {
+                mapping[select.dataset.field] = parseInt(select.value);
+            }
+        });
+        return mapping;
+    }
+    
+    /**
+     * Validate the mapping, save it as preset and resolve the dialog
+     */
+    confirm() {
+        const mapping = this.getMapping();
+        if (mapping.lat === undefined || mapping.lon === undefined) {
+            showError('Velg kolonner for breddegrad og lengdegrad');
+            return;
+        }
+        
+        const settings = {
+            delimiter: document.getElementById('csvDelimiter').value,
+            decimalComma: document.getElementById('csvDecimal').value === 'comma',
+            mapping,
+            units: {
+                elevation: document.getElementById('csvElevationUnit').value,
+                speed: document.getElementById('csvSpeedUnit').value,
+                angle: document.getElementById('csvAngleUnit').value
+            },
+            coordinateFormat: document.getElementById('csvCoordinateFormat').value,
+            date: document.getElementById('csvDate').value || null
+        };
+        
+        if (document.getElementById('csvSavePreset').checked) {
+            saveCSVPreset(getCSVHeaderSignature(this.rows[0] || []), settings);
+        }
+        
+        this.close({ settings, rows: this.rows.slice(1) });
+    }
+    
+    close(result) {
+        document.getElementById('csvMappingModal').style.display = 'none';
+        
+        if (this.resolve) {
+            this.resolve(result);
+            this.resolve = null;
+        }
+    }
+}
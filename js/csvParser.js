@@ -0,0 +1,364 @@
+// ==================== CSV Parser ====================
+
+/**
+ * Point fields that CSV columns can be mapped to
+ */
+const CSV_FIELDS = [
+    { key: 'lat', label: 'Breddegrad', required: true },
+    { key: 'lon', label: 'Lengdegrad', required: true },
+    { key: 'elevation', label: 'Høyde' },
+    { key: 'time', label: 'Tid' },
+    { key: 'speed', label: 'Hastighet' },
+    { key: 'heading', label: 'Kurs' },
+    { key: 'hdop', label: 'HDOP' },
+    { key: 'pitch', label: 'Pitch' },
+    { key: 'roll', label: 'Roll' }
+];
+
+/**
+ * Header names recognised when guessing the column mapping
+ */
+const CSV_FIELD_ALIASES = {
+    lat: ['lat', 'latitude', 'breddegrad', 'lat_deg', 'latitude_deg', 'gps_lat', 'y'],
+    lon: ['lon', 'lng', 'long', 'longitude', 'lengdegrad', 'lon_deg', 'longitude_deg', 'gps_lon', 'x'],
+    elevation: ['ele', 'elevation', 'alt', 'altitude', 'height', 'hoyde', 'høyde', 'alt_m', 'alt_ft', 'msl'],
+    time: ['time', 'timestamp', 'datetime', 'date_time', 'utc', 'tid', 'tidspunkt', 'gps_time'],
+    speed: ['speed', 'spd', 'groundspeed', 'ground_speed', 'gs', 'hastighet', 'fart', 'sog'],
+    heading: ['heading', 'hdg', 'course', 'track', 'cog', 'kurs', 'bearing'],
+    hdop: ['hdop'],
+    pitch: ['pitch', 'theta'],
+    roll: ['roll', 'bank', 'phi']
+};
+
+/**
+ * Default import settings before detection and presets are applied
+ */
+const DEFAULT_CSV_SETTINGS = {
+    delimiter: ',',
+    decimalComma: false,
+    mapping: {},
+    units: { elevation: 'm', speed: 'm/s', angle: 'deg' },
+    coordinateFormat: 'decimal',
+    date: null
+};
+
+/**
+ * Detect delimiter and decimal separator
+ * Picks the candidate delimiter that splits the first lines into the
+ * same, largest number of columns. Values like "59,123" in a file that
+ * is not comma-separated mean decimal comma (Norwegian locale).
+ * @param {string} text - File content
+ * @returns {object} { delimiter, decimalComma }
+ */
+function detectCSVFormat(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim()).slice(0, 20);
+    let best = { delimiter: ',', columns: 0, consistent: false };
+    
+    [',', ';', '\t', '|'].forEach(delimiter => {
+        const counts = lines.map(line => splitCSVLine(line, delimiter).length);
+        const columns = counts[0] || 0;
+        const consistent = counts.every(count => count === columns);
+        
+        if (columns > 1 && (consistent && !best.consistent ||
+            consistent === best.consistent && columns > best.columns)) {
+            best = { delimiter, columns, consistent };
+        }
+    });
+    
+    const decimalComma = best.delimiter !== ',' && lines.slice(1).some(line =>
+        splitCSVLine(line, best.delimiter).some(value => /^\s*-?\d+,\d+\s*$/.test(value))
+    );
+    
+    return { delimiter: best.delimiter, decimalComma };
+}
+
+/**
+ * Split CSV text into rows of values
+ * Quoted values may contain the delimiter, escaped quotes ("") and line breaks.
+ */
+function parseCSVRows(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let value = '';
+    let quoted = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                value += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(value);
+            value = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(value);
+            if (row.some(v => v.trim())) rows.push(row);
+            row = [];
+            value = '';
+        } else {
+            value += char;
+        }
+    }
+    
+    row.push(value);
+    if (row.some(v => v.trim())) rows.push(row);
+    
+    return rows.map(r => r.map(v => v.trim()));
+}
+
+/**
+ * Split a single line, for format detection
+ */
+function splitCSVLine(line, delimiter) {
+    return parseCSVRows(line, delimiter)[0] || [];
+}
+
+/**
+ * Signature of a header row, used as key for saved mapping presets
+ */
+function getCSVHeaderSignature(headers) {
+    return headers.map(header => header.trim().toLowerCase()).join('|');
+}
+
+/**
+ * Guess the column mapping from header names
+ * Also guesses units from common suffixes like "alt_ft" or "speed_kn".
+ * @returns {object} { mapping: { field: columnIndex }, units }
+ */
+function guessCSVMapping(headers) {
+    const normalized = headers.map(header => header.trim().toLowerCase()
+        .replace(/\s*[([].*[)\]]\s*$/, '')
+        .replace(/[\s-]+/g, '_'));
+    const mapping = {};
+    const units = { ...DEFAULT_CSV_SETTINGS.units };
+    
+    // Exact names first, then names with a unit suffix such as "alt_ft"
+    const matchers = [
+        (header, aliases) => aliases.includes(header),
+        (header, aliases) => aliases.includes(header.split('_')[0]) && header.split('_')[0].length > 1
+    ];
+    matchers.forEach(matches => {
+        Object.entries(CSV_FIELD_ALIASES).forEach(([field, aliases]) => {
+            if (mapping[field] !== undefined) return;
+            
+            const index = normalized.findIndex((header, i) =>
+                matches(header, aliases) && !Object.values(mapping).includes(i)
+            );
+            if (index !== -1) {
+                mapping[field] = index;
+            }
+        });
+    });
+    
+    const headerOf = (field) => mapping[field] !== undefined ? headers[mapping[field]].toLowerCase() : '';
+    if (/ft|feet/.test(headerOf('elevation'))) units.elevation = 'ft';
+    if (/kn|kt|knots/.test(headerOf('speed'))) units.speed = 'kn';
+    if (/km\/?h|kmh|kph/.test(headerOf('speed'))) units.speed = 'km/h';
+    if (/rad/.test(headerOf('pitch') + headerOf('roll') + headerOf('heading'))) units.angle = 'rad';
+    
+    return { mapping, units };
+}
+
+/**
+ * Load the saved import settings for a header signature
+ */
+function loadCSVPreset(signature) {
+    try {
+        const presets = JSON.parse(localStorage.getItem('csvMappingPresets') || '{}');
+        return presets[signature] || null;
+    } catch (error) {
+        console.warn('Could not read CSV presets:', error);
+        return null;
+    }
+}
+
+/**
+ * Save import settings as the preset for a header signature
+ */
+function saveCSVPreset(signature, settings) {
+    try {
+        const presets = JSON.parse(localStorage.getItem('csvMappingPresets') || '{}');
+        presets[signature] = settings;
+        localStorage.setItem('csvMappingPresets', JSON.stringify(presets));
+    } catch (error) {
+        console.warn('Could not save CSV preset:', error);
+    }
+}
+
+/**
+ * Parse a number with decimal point or decimal comma
+ */
+function parseCSVNumber(text, decimalComma) {
+    if (text === undefined || text === null || text.trim() === '') return null;
+    
+    const value = parseFloat(decimalComma ? text.replace(/\s/g, '').replace(',', '.') : text);
+    return isNaN(value) ? null : value;
+}
+
+/**
+ * Parse a coordinate in the selected format
+ * - decimal: 60.3945 or -5,123 (decimal comma)
+ * - dms: 60°23'40.2"N, 60 23 40.2 N or N60 23 40.2
+ * - nmea: DDMM.mmmm / DDDMM.mmmm, with an optional N/S/E/W letter
+ * @returns {number|null} Decimal degrees
+ */
+function parseCSVCoordinate(text, format, decimalComma) {
+    if (!text) return null;
+    
+    const hemisphere = (/[NSEW]/i.exec(text) || [''])[0].toUpperCase();
+    const sign = hemisphere === 'S' || hemisphere === 'W' ? -1 : 1;
+    const cleaned = text.replace(/[NSEW]/gi, '').trim();
+    
+    if (format === 'dms') {
+        const parts = (decimalComma ? cleaned.replace(/(\d),(\d)/g, '$1.$2') : cleaned)
+            .split(/[°º'′"″:\s]+/)
+            .filter(part => part)
+            .map(parseFloat);
+        if (parts.length === 0 || parts.some(isNaN)) return null;
+        
+        const degrees = Math.abs(parts[0]) + (parts[1] || 0) / 60 + (parts[2] || 0) / 3600;
+        return (parts[0] < 0 || cleaned.startsWith('-') ? -1 : sign) * degrees;
+    }
+    
+    const value = parseCSVNumber(cleaned, decimalComma);
+    if (value === null) return null;
+    
+    if (format === 'nmea') {
+        const absolute = Math.abs(value);
+        const degrees = Math.floor(absolute / 100);
+        const minutes = absolute - degrees * 100;
+        return (value < 0 ? -1 : sign) * (degrees + minutes / 60);
+    }
+    
+    return sign * value;
+}
+
+/**
+ * Parse a time value
+ * Accepts ISO 8601, Norwegian "DD.MM.YYYY HH:MM:SS", Unix time in seconds
+ * or milliseconds, and time of day combined with the selected date.
+ * Times without a zone are read as UTC.
+ * @param {string} text - Time value
+ * @param {string|null} date - Date (YYYY-MM-DD) for time-of-day values
+ * @returns {Date|null}
+ */
+function parseCSVTime(text, date) {
+    if (!text) return null;
+    
+    if (/^\d+(\.\d+)?$/.test(text)) {
+        const value = parseFloat(text);
+        return new Date(value > 1e11 ? value : value * 1000);
+    }
+    
+    const norwegian = /^(\d{1,2})\.(\d{1,2})\.(\d{4})[ T](\d{1,2}):(\d{2})(?::(\d{2}(?:[.,]\d+)?))?$/.exec(text);
+    if (norwegian) {
+        const [, day, month, year, hours, minutes, seconds] = norwegian;
+        return new Date(Date.UTC(parseInt(year), parseInt(month) - 1, parseInt(day),
+            parseInt(hours), parseInt(minutes)) + parseFloat((seconds || '0').replace(',', '.')) * 1000);
+    }
+    
+    const timeOfDay = /^(\d{1,2}):(\d{2})(?::(\d{2}(?:[.,]\d+)?))?$/.exec(text);
+    if (timeOfDay) {
+        if (!date) return null;
+        const [, hours, minutes, seconds] = timeOfDay;
+        return new Date(new Date(`${date}T00:00:00Z`).getTime() +
+            (parseInt(hours) * 3600 + parseInt(minutes) * 60 + parseFloat((seconds || '0').replace(',', '.'))) * 1000);
+    }
+    
+    const hasZone = /(Z|[+-]\d{2}:?\d{2})$/.test(text);
+    const time = new Date(hasZone ? text : `${text.replace(' ', 'T')}Z`);
+    return isNaN(time.getTime()) ? null : time;
+}
+
+/**
+ * Build track data from CSV rows and import settings
+ * Values are kept in the units chosen in the dialog and declared in
+ * trackData.units, so normalizeTrackUnits converts them on import. Rows
+ * without a valid position are skipped and counted.
+ * @param {Array<Array<string>>} rows - Data rows (without header)
+ * @param {object} settings - { decimalComma, mapping, units, coordinateFormat, date }
+ * @returns {object} { type, points, units, skippedRows }
+ */
+function buildCSVTrack(rows, settings) {
+    const { mapping, units, coordinateFormat, decimalComma, date } = settings;
+    const column = (row, field) => mapping[field] !== undefined && mapping[field] !== null ? row[mapping[field]] : undefined;
+    const number = (row, field) => parseCSVNumber(column(row, field), decimalComma);
+    const points = [];
+    let skippedRows = 0;
+    
+    rows.forEach(row => {
+        const lat = parseCSVCoordinate(column(row, 'lat'), coordinateFormat, decimalComma);
+        const lon = parseCSVCoordinate(column(row, 'lon'), coordinateFormat, decimalComma);
+        
+        if (lat === null || lon === null || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+            skippedRows++;
+            return;
+        }
+        
+        points.push({
+            lat,
+            lon,
+            elevation: number(row, 'elevation'),
+            time: parseCSVTime(column(row, 'time'), date),
+            speed: number(row, 'speed'),
+            course: null,
+            heading: number(row, 'heading'),
+            hdop: number(row, 'hdop'),
+            vdop: null,
+            pdop: null,
+            satellites: null,
+            pitch: number(row, 'pitch'),
+            roll: number(row, 'roll')
+        });
+    });
+    
+    return {
+        type: 'csv',
+        points,
+        units: {
+            elevation: units.elevation,
+            speed: units.speed,
+            heading: units.angle,
+            pitch: units.angle,
+            roll: units.angle
+        },
+        skippedRows,
+        hasOrientation: points.some(p => p.pitch !== null || p.roll !== null)
+    };
+}
+
+/**
+ * Export track data to CSV
+ * One row per point with every point field and the computed columns from
+ * buildPointRecords. Comma-separated with decimal point, so the file reads
+ * directly into QGIS, pandas and spreadsheets.
+ */
+function exportToCSV(trackData) {
+    const { columns, records } = buildPointRecords(trackData.points);
+    
+    const lines = [columns.map(quoteCSVValue).join(',')];
+    records.forEach(record => {
+        lines.push(columns.map(column => quoteCSVValue(record[column])).join(','));
+    });
+    
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Quote a CSV value when it contains a separator, quote or line break
+ */
+function quoteCSVValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
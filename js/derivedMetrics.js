@@ -0,0 +1,211 @@
+// ==================== Derived Metrics ====================
+
+/**
+ * Derived metric settings
+ * Rates are taken between neighbouring points with their real time
+ * deltas; steps across segment breaks or longer than maxGapSeconds are
+ * not used. Turn rate needs minTurnSpeed for a stable course. Each
+ * channel can be smoothed with a centred moving average.
+ */
+const DERIVED_METRICS = {
+    maxGapSeconds: 10,
+    minTurnSpeed: 3,
+    smoothingSeconds: 0
+};
+
+const STANDARD_GRAVITY = 9.80665;
+
+/**
+ * Derived channels with display conversion and formatting
+ * Signed channels are coloured on a scale centred on zero.
+ */
+const DERIVED_CHANNELS = {
+    verticalSpeed: {
+        name: 'Vertikalfart',
+        signed: true,
+        unit: () => getUnitLabel('verticalSpeed'),
+        convert: (value) => convertUnit('verticalSpeed', value),
+        format: (value) => formatVerticalSpeed(value)
+    },
+    acceleration: {
+        name: 'Akselerasjon',
+        signed: true,
+        unit: () => 'm/s²',
+        convert: (value) => value,
+        format: (value) => value === null ? '-' : `${value.toFixed(2)} m/s²`
+    },
+    turnRate: {
+        name: 'Svinghastighet',
+        signed: true,
+        unit: () => '°/s',
+        convert: (value) => value,
+        format: (value) => value === null ? '-' : `${value.toFixed(1)} °/s`
+    },
+    loadFactor: {
+        name: 'Lastfaktor',
+        signed: false,
+        unit: () => 'g',
+        convert: (value) => value,
+        format: (value) => value === null ? '-' : `${value.toFixed(2)} g`
+    }
+};
+
+let derivedSmoothingSeconds = DERIVED_METRICS.smoothingSeconds;
+
+/**
+ * Get the smoothing window used by the app, in seconds
+ */
+function getDerivedSmoothing() {
+    return derivedSmoothingSeconds;
+}
+
+/**
+ * Set the smoothing window used by the app
+ * @param {number} seconds - Window length, 0 for no smoothing
+ */
+function setDerivedSmoothing(seconds) {
+    derivedSmoothingSeconds = Math.max(0, seconds || 0);
+    return derivedSmoothingSeconds;
+}
+
+/**
+ * Calculate vertical speed, along-track acceleration, turn rate and load factor
+ *
+ * Vertical speed (m/s) and acceleration (m/s²) are time derivatives of
+ * elevation and speed, turn rate (°/s, positive right) of the course.
+ * Without a recorded course the bearing between points is used. The load
+ * factor (g) combines the centripetal and vertical acceleration:
+ * n = √((V·ω/g)² + (1 + a_v/g)²).
+ * @param {array} points - Track points in SI units
+ * @param {object} options - Overrides for DERIVED_METRICS, smoothingSeconds
+ *     defaults to the app setting
+ * @returns {array} { verticalSpeed, acceleration, turnRate, loadFactor } per point, null where unknown
+ */
+function calculateDerivedMetrics(points, options = {}) {
+    const settings = { ...DERIVED_METRICS, smoothingSeconds: getDerivedSmoothing(), ...options };
+    if (!points || points.length === 0) return [];
+    
+    const times = points.map(p => p.time ? p.time.getTime() : NaN);
+    const maxGapMs = settings.maxGapSeconds * 1000;
+    const smooth = (values) => smoothSeries(values, times, settings.smoothingSeconds * 1000);
+    const differentiate = (values) => differentiateSeries(points, values, times, maxGapMs);
+    
+    const speeds = points.map(p => isFiniteNumber(p.speed) ? p.speed : null);
+    const courses = unwrapCourses(points, times, settings.minTurnSpeed);
+    
+    const verticalSpeeds = smooth(differentiate(points.map(p => isFiniteNumber(p.elevation) ? p.elevation : null)));
+    const accelerations = smooth(differentiate(speeds));
+    const turnRates = smooth(differentiate(courses));
+    const verticalAccelerations = differentiate(verticalSpeeds);
+    
+    return points.map((point, i) => {
+        const speed = speeds[i] !== null ? speeds[i] : getPointSpeed(points, times, i);
+        const turnRate = turnRates[i];
+        const verticalAcceleration = verticalAccelerations[i];
+        let loadFactor = null;
+        
+        if (turnRate !== null && isFiniteNumber(speed)) {
+            const lateral = speed * turnRate * Math.PI / 180 / STANDARD_GRAVITY;
+            const vertical = 1 + (verticalAcceleration !== null ? verticalAcceleration : 0) / STANDARD_GRAVITY;
+            loadFactor = Math.hypot(lateral, vertical);
+        }
+        
+        return {
+            verticalSpeed: verticalSpeeds[i],
+            acceleration: accelerations[i],
+            turnRate,
+            loadFactor
+        };
+    });
+}
+
+/**
+ * Course per point, unwrapped so a turn through north stays continuous
+ * Points slower than minSpeed have no course, and the unwrapping restarts
+ * after them.
+ */
+function unwrapCourses(points, times, minSpeed) {
+    let previous = null;
+    
+    return points.map((point, i) => {
+        let course = isFiniteNumber(point.course) ? point.course : point.heading;
+        if (!isFiniteNumber(course) && i > 0) {
+            course = calculateBearing(points[i - 1].lat, points[i - 1].lon, point.lat, point.lon);
+        }
+        const speed = isFiniteNumber(point.speed) ? point.speed : getPointSpeed(points, times, i);
+        if (!isFiniteNumber(course) || !(speed >= minSpeed)) {
+            previous = null;
+            return null;
+        }
+        
+        previous = previous === null ? course : previous + wrapAngle(course - previous);
+        return previous;
+    });
+}
+
+/**
+ * Time derivative of a per-point series
+ * Central difference between the neighbours, one-sided at breaks.
+ */
+function differentiateSeries(points, values, times, maxGapMs) {
+    const usable = (i, j) => j >= 0 && j < points.length &&
+        values[j] !== null && !isNaN(times[j]) &&
+        points[i].segmentIndex === points[j].segmentIndex &&
+        Math.abs(times[j] - times[i]) <= maxGapMs && times[j] !== times[i];
+    
+    return values.map((value, i) => {
+        if (value === null || isNaN(times[i])) return null;
+        
+        const previous = usable(i, i - 1) ? i - 1 : i;
+        const next = usable(i, i + 1) ? i + 1 : i;
+        if (previous === next) return null;
+        
+        return (values[next] - values[previous]) / ((times[next] - times[previous]) / 1000);
+    });
+}
+
+/**
+ * Centred moving average over a time window
+ * Gaps in the series stay gaps.
+ */
+function smoothSeries(values, times, windowMs) {
+    if (!(windowMs > 0)) return values;
+    
+    const half = windowMs / 2;
+    const sums = [0];
+    const counts = [0];
+    values.forEach(value => {
+        const valid = value !== null && !isNaN(value);
+        sums.push(sums[sums.length - 1] + (valid ? value : 0));
+        counts.push(counts[counts.length - 1] + (valid ? 1 : 0));
+    });
+    
+    let start = 0;
+    let end = 0;
+    return values.map((value, i) => {
+        if (value === null || isNaN(times[i])) return null;
+        
+        while (start < i && !(times[start] >= times[i] - half)) start++;
+        if (end < i) end = i;
+        while (end + 1 < values.length && times[end + 1] <= times[i] + half) end++;
+        
+        const count = counts[end + 1] - counts[start];
+        return count > 0 ? (sums[end + 1] - sums[start]) / count : null;
+    });
+}
+
+/**
+ * Summarize a derived channel as { min, avg, max }
+ */
+function summarizeDerivedChannel(metrics, key) {
+    const values = metrics.map(m => m[key]).filter(v => v !== null && !isNaN(v));
+    if (values.length === 0) {
+        return { min: null, avg: null, max: null };
+    }
+    
+    return {
+        min: values.reduce((a, b) => Math.min(a, b)),
+        avg: values.reduce((a, b) => a + b, 0) / values.length,
+        max: values.reduce((a, b) => Math.max(a, b))
+    };
+}
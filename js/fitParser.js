@@ -0,0 +1,393 @@
+// ==================== FIT Parser ====================
+
+/**
+ * Seconds between the Unix epoch and the FIT epoch (1989-12-31T00:00:00Z)
+ */
+const FIT_EPOCH_OFFSET = 631065600;
+
+/**
+ * FIT base types: byte size, DataView reader and invalid value
+ */
+const FIT_BASE_TYPES = {
+    0x00: { size: 1, read: 'getUint8', invalid: 0xFF },
+    0x01: { size: 1, read: 'getInt8', invalid: 0x7F },
+    0x02: { size: 1, read: 'getUint8', invalid: 0xFF },
+    0x83: { size: 2, read: 'getInt16', invalid: 0x7FFF },
+    0x84: { size: 2, read: 'getUint16', invalid: 0xFFFF },
+    0x85: { size: 4, read: 'getInt32', invalid: 0x7FFFFFFF },
+    0x86: { size: 4, read: 'getUint32', invalid: 0xFFFFFFFF },
+    0x07: { size: 1, read: null, invalid: null },
+    0x88: { size: 4, read: 'getFloat32', invalid: null },
+    0x89: { size: 8, read: 'getFloat64', invalid: null },
+    0x0A: { size: 1, read: 'getUint8', invalid: 0x00 },
+    0x8B: { size: 2, read: 'getUint16', invalid: 0x0000 },
+    0x8C: { size: 4, read: 'getUint32', invalid: 0x00000000 },
+    0x0D: { size: 1, read: 'getUint8', invalid: 0xFF }
+};
+
+/**
+ * Global message numbers and the fields used from them
+ * Field definitions are [name, scale, offset]; values are stored as
+ * raw / scale - offset, as in the FIT profile.
+ */
+const FIT_MESSAGES = {
+    18: {
+        name: 'session',
+        fields: {
+            253: ['timestamp', 1, 0],
+            2: ['startTime', 1, 0],
+            5: ['sport', 1, 0],
+            7: ['totalElapsedTime', 1000, 0],
+            9: ['totalDistance', 100, 0]
+        }
+    },
+    19: {
+        name: 'lap',
+        fields: {
+            253: ['timestamp', 1, 0],
+            2: ['startTime', 1, 0],
+            3: ['startLat', 1, 0],
+            4: ['startLon', 1, 0],
+            7: ['totalElapsedTime', 1000, 0],
+            9: ['totalDistance', 100, 0]
+        }
+    },
+    20: {
+        name: 'record',
+        fields: {
+            253: ['timestamp', 1, 0],
+            0: ['positionLat', 1, 0],
+            1: ['positionLong', 1, 0],
+            2: ['altitude', 5, 500],
+            3: ['heartRate', 1, 0],
+            4: ['cadence', 1, 0],
+            6: ['speed', 1000, 0],
+            13: ['temperature', 1, 0],
+            31: ['gpsAccuracy', 1, 0],
+            73: ['enhancedSpeed', 1000, 0],
+            78: ['enhancedAltitude', 5, 500]
+        }
+    },
+    160: {
+        name: 'gpsMetadata',
+        fields: {
+            253: ['timestamp', 1, 0],
+            5: ['heading', 100, 0]
+        }
+    }
+};
+
+/**
+ * Parse FIT file and extract track data
+ *
+ * Record messages become points; sessions split the track into segments
+ * and laps are shown as waypoints at the lap start. Heading comes from
+ * gps_metadata messages with the same timestamp.
+ */
+async function parseFIT(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        
+        reader.onload = (e) => {
+            try {
+                resolve({
+                    name: file.name,
+                    ...buildFITTrack(decodeFIT(e.target.result))
+                });
+            } catch (error) {
+                reject(error);
+            }
+        };
+        
+        reader.onerror = () => {
+            reject(new Error('Feil ved lesing av fil'));
+        };
+        
+        reader.readAsArrayBuffer(file);
+    });
+}
+
+/**
+ * Decode the messages of a FIT file
+ * Handles chained files, compressed timestamp headers, both byte orders
+ * and developer fields. Messages not in FIT_MESSAGES are skipped.
+ * @param {ArrayBuffer} buffer - FIT file content
+ * @returns {object} Decoded messages by name, e.g. { record: [...], lap: [...] }
+ */
+function decodeFIT(buffer) {
+    const view = new DataView(buffer);
+    const messages = { session: [], lap: [], record: [], gpsMetadata: [] };
+    let fileStart = 0;
+    
+    while (fileStart + 12 <= view.byteLength) {
+        const headerSize = view.getUint8(fileStart);
+        const dataSize = view.getUint32(fileStart + 4, true);
+        const signature = String.fromCharCode(
+            view.getUint8(fileStart + 8), view.getUint8(fileStart + 9),
+            view.getUint8(fileStart + 10), view.getUint8(fileStart + 11)
+        );
+        
+        if (signature !== '.FIT' || headerSize < 12) {
+            if (fileStart === 0) {
+                throw new Error('Ugyldig FIT-fil');
+            }
+            break;
+        }
+        
+        const dataEnd = Math.min(fileStart + headerSize + dataSize, view.byteLength);
+        if (dataEnd + 2 <= view.byteLength &&
+            calculateFITCrc(view, fileStart, dataEnd) !== view.getUint16(dataEnd, true)) {
+            console.warn('FIT CRC mismatch, file may be truncated or corrupt');
+        }
+        
+        decodeFITRecords(view, fileStart + headerSize, dataEnd, messages);
+        fileStart = dataEnd + 2;
+    }
+    
+    return messages;
+}
+
+/**
+ * Decode the data records of one FIT file into messages
+ */
+function decodeFITRecords(view, start, end, messages) {
+    const definitions = {};
+    let offset = start;
+    let lastTimestamp = null;
+    
+    while (offset < end) {
+        const recordHeader = view.getUint8(offset++);
+        let localType;
+        let timestamp = null;
+        
+        if (recordHeader & 0x80) {
+            // Compressed timestamp header: 5-bit offset from the last timestamp
+            localType = (recordHeader >> 5) & 0x03;
+            const timeOffset = recordHeader & 0x1F;
+            if (lastTimestamp !== null) {
+                timestamp = lastTimestamp + ((timeOffset - lastTimestamp) & 0x1F);
+                lastTimestamp = timestamp;
+            }
+        } else if (recordHeader & 0x40) {
+            localType = recordHeader & 0x0F;
+            const littleEndian = view.getUint8(offset + 1) === 0;
+            const globalNumber = view.getUint16(offset + 2, littleEndian);
+            const fieldCount = view.getUint8(offset + 4);
+            offset += 5;
+            
+            const fields = [];
+            for (let i = 0; i < fieldCount; i++) {
+                fields.push({
+                    number: view.getUint8(offset),
+                    size: view.getUint8(offset + 1),
+                    baseType: view.getUint8(offset + 2)
+                });
+                offset += 3;
+            }
+            
+            // Developer fields are skipped by size
+            let developerSize = 0;
+            if (recordHeader & 0x20) {
+                const developerCount = view.getUint8(offset++);
+                for (let i = 0; i < developerCount; i++) {
+                    developerSize += view.getUint8(offset + 1);
+                    offset += 3;
+                }
+            }
+            
+            definitions[localType] = { littleEndian, globalNumber, fields, developerSize };
+            continue;
+        } else {
+            localType = recordHeader & 0x0F;
+        }
+        
+        const definition = definitions[localType];
+        if (!definition) {
+            throw new Error('Ugyldig FIT-fil: datamelding uten definisjon');
+        }
+        
+        const profile = FIT_MESSAGES[definition.globalNumber];
+        const message = {};
+        
+        definition.fields.forEach(field => {
+            if (profile && profile.fields[field.number] && offset + field.size <= end) {
+                const value = readFITValue(view, offset, field, definition.littleEndian);
+                if (value !== null) {
+                    const [name, scale, valueOffset] = profile.fields[field.number];
+                    message[name] = value / scale - valueOffset;
+                }
+            }
+            offset += field.size;
+        });
+        offset += definition.developerSize;
+        
+        if (message.timestamp !== undefined) {
+            lastTimestamp = message.timestamp;
+        } else if (timestamp !== null) {
+            message.timestamp = timestamp;
+        }
+        
+        if (profile) {
+            messages[profile.name].push(message);
+        }
+    }
+}
+
+/**
+ * Read a scalar field value, or the first element of an array field
+ * @returns {number|null} Raw value, or null for invalid/unsupported values
+ */
+function readFITValue(view, offset, field, littleEndian) {
+    const baseType = FIT_BASE_TYPES[field.baseType];
+    if (!baseType || !baseType.read || field.size < baseType.size) return null;
+    
+    const value = view[baseType.read](offset, littleEndian);
+    if (value === baseType.invalid || (baseType.invalid === null && !isFinite(value))) {
+        return null;
+    }
+    return value;
+}
+
+/**
+ * Calculate the FIT CRC-16 of a byte range
+ */
+function calculateFITCrc(view, start, end) {
+    const table = [
+        0x0000, 0xCC01, 0xD801, 0x1400, 0xF001, 0x3C00, 0x2800, 0xE401,
+        0xA001, 0x6C00, 0x7800, 0xB401, 0x5000, 0x9C01, 0x8801, 0x4400
+    ];
+    let crc = 0;
+    
+    for (let i = start; i < end; i++) {
+        const byte = view.getUint8(i);
+        let tmp = table[crc & 0xF];
+        crc = (crc >> 4) & 0x0FFF;
+        crc = crc ^ tmp ^ table[byte & 0xF];
+        tmp = table[crc & 0xF];
+        crc = (crc >> 4) & 0x0FFF;
+        crc = crc ^ tmp ^ table[(byte >> 4) & 0xF];
+    }
+    
+    return crc;
+}
+
+/**
+ * Convert FIT semicircles to degrees
+ */
+function fitSemicirclesToDegrees(value) {
+    return value * (180 / 2147483648);
+}
+
+/**
+ * Convert a FIT timestamp to a Date
+ */
+function fitTimestampToDate(value) {
+    return new Date((value + FIT_EPOCH_OFFSET) * 1000);
+}
+
+/**
+ * Build track data from decoded FIT messages
+ * Records without a position (e.g. indoor or before GPS lock) are skipped.
+ * @param {object} messages - Result of decodeFIT
+ * @returns {object} { type, points, tracks, routes, waypoints, laps, sessions }
+ */
+function buildFITTrack(messages) {
+    const headings = new Map();
+    messages.gpsMetadata.forEach(metadata => {
+        if (metadata.timestamp !== undefined && metadata.heading !== undefined) {
+            headings.set(metadata.timestamp, metadata.heading);
+        }
+    });
+    
+    const sessions = messages.session
+        .filter(session => session.startTime !== undefined && session.timestamp !== undefined)
+        .sort((a, b) => a.startTime - b.startTime);
+    const sessionIndexAt = (timestamp) => {
+        const index = sessions.findIndex(s => timestamp >= s.startTime && timestamp <= s.timestamp);
+        return index !== -1 ? index : 0;
+    };
+    
+    const points = [];
+    messages.record.forEach(record => {
+        if (record.positionLat === undefined || record.positionLong === undefined || record.timestamp === undefined) {
+            return;
+        }
+        
+        const elevation = record.enhancedAltitude !== undefined ? record.enhancedAltitude : record.altitude;
+        const speed = record.enhancedSpeed !== undefined ? record.enhancedSpeed : record.speed;
+        const heading = headings.get(record.timestamp);
+        
+        points.push({
+            lat: fitSemicirclesToDegrees(record.positionLat),
+            lon: fitSemicirclesToDegrees(record.positionLong),
+            elevation: elevation !== undefined ? elevation : null,
+            time: fitTimestampToDate(record.timestamp),
+            speed: speed !== undefined ? speed : null,
+            course: null,
+            heading: heading !== undefined ? heading : null,
+            hdop: null,
+            vdop: null,
+            pdop: null,
+            satellites: null,
+            gpsAccuracy: record.gpsAccuracy !== undefined ? record.gpsAccuracy : null,
+            temperature: record.temperature !== undefined ? record.temperature : null,
+            heartRate: record.heartRate !== undefined ? record.heartRate : null,
+            cadence: record.cadence !== undefined ? record.cadence : null,
+            segmentIndex: sessionIndexAt(record.timestamp)
+        });
+    });
+    
+    if (points.length === 0) {
+        throw new Error('Ingen posisjoner funnet i FIT-filen');
+    }
+    
+    const tracks = splitGPXSegments(points).map((segment, i) => ({
+        name: `Økt ${i + 1}`,
+        description: null,
+        type: null,
+        segments: [segment]
+    }));
+    
+    const laps = messages.lap
+        .filter(lap => lap.startTime !== undefined)
+        .sort((a, b) => a.startTime - b.startTime)
+        .map((lap, i) => ({
+            index: i + 1,
+            startTime: fitTimestampToDate(lap.startTime),
+            endTime: lap.timestamp !== undefined ? fitTimestampToDate(lap.timestamp) : null,
+            elapsedTime: lap.totalElapsedTime !== undefined ? lap.totalElapsedTime : null,
+            distance: lap.totalDistance !== undefined ? lap.totalDistance : null,
+            lat: lap.startLat !== undefined ? fitSemicirclesToDegrees(lap.startLat) : null,
+            lon: lap.startLon !== undefined ? fitSemicirclesToDegrees(lap.startLon) : null
+        }));
+    
+    // Lap markers at the lap start, or the first point after it
+    const waypoints = laps.length > 1 ? laps.map(lap => {
+        const point = points.find(p => p.time >= lap.startTime) || points[points.length - 1];
+        return {
+            lat: lap.lat !== null ? lap.lat : point.lat,
+            lon: lap.lon !== null ? lap.lon : point.lon,
+            elevation: point.elevation,
+            time: lap.startTime,
+            name: `Runde ${lap.index}`,
+            description: null,
+            symbol: null
+        };
+    }) : [];
+    
+    return {
+        type: 'fit',
+        points,
+        tracks,
+        routes: [],
+        waypoints,
+        laps,
+        sessions: sessions.map(session => ({
+            startTime: fitTimestampToDate(session.startTime),
+            endTime: fitTimestampToDate(session.timestamp),
+            sport: session.sport !== undefined ? session.sport : null,
+            elapsedTime: session.totalElapsedTime !== undefined ? session.totalElapsedTime : null,
+            distance: session.totalDistance !== undefined ? session.totalDistance : null
+        }))
+    };
+}
@@ -15,39 +15,9 @@ function parseFlightCellGPS(fileContent) {
     for (const line of lines) {
         if (!line.trim()) continue; // Skip empty lines
         
-        try {
-            const data = JSON.parse(line);
-            
-            // Validate required fields
-            if (!data.date || !data.time || data.latitude === undefined || data.longitude === undefined) {
-                console.warn('Missing required fields in GPS line');
-                continue;
-            }
-            
-            // Parse date and time to create timestamp
-            const [day, month, year] = data.date.split('/');
-            const fullYear = `20${year}`;
-            const timeStr = data.time.substring(0, 8); // Remove milliseconds for Date parsing
-            const dateTimeStr = `${fullYear}-${month}-${day}T${timeStr}Z`;
-            const timestamp = new Date(dateTimeStr);
-            
-            // Create point object
-            const point = {
-                lat: data.latitude,
-                lon: data.longitude,
-                elevation: data.altitude || 0,
-                time: timestamp,
-                speed: data.speed || 0, // in knots already
-                heading: data.heading || 0,
-                hdop: data.hdop || null,
-                pdop: data.pdop || null,
-                satellites: data.satellites || 0,
-                fix: data.fix_type || 0
-            };
-            
+        const point = parseFlightCellGPSLine(line);
+        if (point) {
             points.push(point);
-        } catch (error) {
-            console.warn('Error parsing GPS line:', error, line.substring(0, 100));
         }
     }
     
@@ -58,6 +28,54 @@ function parseFlightCellGPS(fileContent) {
     };
 }
 
+/**
+ * Parse one line of a FlightCell GPS log
+ * @param {string} line - JSON line
+ * @returns {object|null} GPS point, or null if the line is invalid
+ */
+function parseFlightCellGPSLine(line) {
+    try {
+        const data = JSON.parse(line);
+        
+        // Validate required fields
+        if (!data.date || !data.time || data.latitude === undefined || data.longitude === undefined) {
+            console.warn('Missing required fields in GPS line');
+            return null;
+        }
+        
+        // Parse date and time to create timestamp, keeping the fractional
+        // seconds so sub-second epochs stay apart for sensor alignment
+        const [day, month, year] = data.date.split('/');
+        const fullYear = `20${year}`;
+        const timeMatch = data.time.match(/^(\d{2}):(\d{2}):(\d{2})(?:[.:,](\d+))?/);
+        if (!timeMatch) {
+            console.warn('Invalid time in GPS line');
+            return null;
+        }
+        const [, hours, minutes, seconds, fraction] = timeMatch;
+        const milliseconds = fraction ? Math.round(Number(`0.${fraction}`) * 1000) : 0;
+        const timestamp = new Date(Date.UTC(Number(fullYear), Number(month) - 1, Number(day),
+            Number(hours), Number(minutes), Number(seconds), milliseconds));
+        
+        // Create point object
+        return {
+            lat: data.latitude,
+            lon: data.longitude,
+            elevation: data.altitude || 0,
+            time: timestamp,
+            speed: data.speed || 0, // knots, converted on import (SOURCE_UNITS)
+            heading: data.heading || 0,
+            hdop: data.hdop || null,
+            pdop: data.pdop || null,
+            satellites: data.satellites || 0,
+            fix: data.fix_type || 0
+        };
+    } catch (error) {
+        console.warn('Error parsing GPS line:', error, line.substring(0, 100));
+        return null;
+    }
+}
+
 /**
  * Parse FlightCell flight data log file
  * @param {string} fileContent - Content of the flight data log file
@@ -68,79 +86,61 @@ function parseFlightCellFlightData(fileContent) {
     const flightData = [];
     
     for (const line of lines) {
-        try {
-            const data = JSON.parse(line);
-            
-            // Create timestamp from ISO string
-            const timestamp = new Date(data.timestamp);
-            
-            // Create flight data object
-            const point = {
-                time: timestamp,
-                epochMs: data.epoch_milli_secs,
-                gyro: {
-                    x: data.gyro[0],
-                    y: data.gyro[1],
-                    z: data.gyro[2]
-                },
-                accel: {
-                    x: data.accel[0],
-                    y: data.accel[1],
-                    z: data.accel[2]
-                },
-                pitch: data.pitch,
-                roll: data.roll
-            };
-            
+        const point = parseFlightCellFlightLine(line);
+        if (point) {
             flightData.push(point);
-        } catch (error) {
-            console.warn('Error parsing flight data line:', error);
         }
     }
     
     return flightData;
 }
 
+/**
+ * Parse one line of a FlightCell flight data log
+ * @param {string} line - JSON line
+ * @returns {object|null} Flight data sample, or null if the line is invalid
+ */
+function parseFlightCellFlightLine(line) {
+    try {
+        const data = JSON.parse(line);
+        
+        // Create timestamp from ISO string
+        const timestamp = new Date(data.timestamp);
+        
+        // Create flight data object
+        return {
+            time: timestamp,
+            epochMs: data.epoch_milli_secs,
+            gyro: {
+                x: data.gyro[0],
+                y: data.gyro[1],
+                z: data.gyro[2]
+            },
+            accel: {
+                x: data.accel[0],
+                y: data.accel[1],
+                z: data.accel[2]
+            },
+            pitch: data.pitch,
+            roll: data.roll
+        };
+    } catch (error) {
+        console.warn('Error parsing flight data line:', error);
+        return null;
+    }
+}
+
 /**
  * Merge GPS and flight data based on timestamps
+ * Attitude is interpolated between IMU samples (or the GPS track between
+ * GPS epochs), see alignSensorData for the options.
  * @param {array} gpsPoints - Array of GPS points
  * @param {array} flightData - Array of flight data points
+ * @param {object} options - { clockOffsetMs, mode } alignment settings
  * @returns {array} Merged data points
  */
-function mergeFlightCellData(gpsPoints, flightData) {
-    const merged = [];
-    
-    // Create a map of flight data by timestamp (rounded to second)
-    const flightMap = new Map();
-    flightData.forEach(fd => {
-        const key = Math.floor(fd.time.getTime() / 1000);
-        flightMap.set(key, fd);
-    });
-    
-    // Merge GPS points with flight data
-    for (const gps of gpsPoints) {
-        const key = Math.floor(gps.time.getTime() / 1000);
-        const flight = flightMap.get(key);
-        
-        if (flight) {
-            merged.push({
-                ...gps,
-                pitch: flight.pitch,
-                roll: flight.roll,
-                gyro: flight.gyro,
-                accel: flight.accel
-            });
-        } else {
-            // GPS point without flight data
-            merged.push({
-                ...gps,
-                pitch: null,
-                roll: null
-            });
-        }
-    }
-    
-    return merged;
+function mergeFlightCellData(gpsPoints, flightData, options = {}) {
+    return alignSensorData(gpsPoints, flightData, options);
 }
 
 /**
@@ -193,3 +193,41 @@ function detectFlightCellLogType(content) {
     }
 }
 
+
+/**
+ * Create an incremental FlightCell log parser
+ * The log type is detected from the first non-empty line, so a log can be
+ * parsed while it is streamed from disk.
+ * @returns {object} { push(line), finish() } where finish returns { logType, gps, flight }
+ */
+function createFlightCellParser() {
+    let logType = null;
+    const gpsPoints = [];
+    const flightData = [];
+    
+    const push = (line) => {
+        if (!line.trim()) return;
+        
+        if (logType === null) {
+            logType = detectFlightCellLogType(line);
+        }
+        
+        if (logType === 'gps') {
+            const point = parseFlightCellGPSLine(line);
+            if (point) gpsPoints.push(point);
+        } else if (logType === 'flight') {
+            const point = parseFlightCellFlightLine(line);
+            if (point) flightData.push(point);
+        }
+    };
+    
+    const finish = () => ({
+        logType: logType || 'unknown',
+        gps: logType === 'gps'
+            ? { type: 'flightcell', points: gpsPoints, name: 'FlightCell Track' }
+            : null,
+        flight: logType === 'flight' ? flightData : null
+    });
+    
+    return { push, finish };
+}
@@ -0,0 +1,130 @@
+/**
+ * FlightCell Session Manager
+ * Pairs GPS and flight data logs of the same flight by time overlap, so
+ * the two logs can be loaded in separate drops
+ */
+
+class FlightCellSessionManager {
+    constructor() {
+        this.sessions = [];
+    }
+    
+    /**
+     * Add a parsed log to the session whose other log overlaps it the most
+     * A log that overlaps no waiting session starts a new one.
+     * @param {string} logType - 'gps' or 'flight'
+     * @param {object|array} data - GPS track ({ points }) or flight data samples
+     * @param {string} fileName - Name of the log file
+     * @returns {object} { session, unmatched } where unmatched is true when logs
+     *     of the other type were waiting but none overlapped in time
+     */
+    addLog(logType, data, fileName) {
+        const otherType = logType === 'gps' ? 'flight' : 'gps';
+        const range = getFlightCellTimeRange(logType === 'gps' ? data.points : data);
+        const candidates = this.sessions.filter(session =>
+            session[logType] === null && session[otherType] !== null
+        );
+        
+        let match = null;
+        let bestOverlap = -1;
+        candidates.forEach(session => {
+            const overlap = getTimeRangeOverlap(range, session.ranges[otherType]);
+            if (overlap >= 0 && overlap > bestOverlap) {
+                match = session;
+                bestOverlap = overlap;
+            }
+        });
+        
+        const session = match || this.createSession();
+        session[logType] = data;
+        session.ranges[logType] = range;
+        session.fileNames[logType] = fileName;
+        
+        return { session, unmatched: !match && candidates.length > 0 };
+    }
+    
+    /**
+     * Create an empty session
+     */
+    createSession() {
+        const session = {
+            gps: null,
+            flight: null,
+            ranges: { gps: null, flight: null },
+            fileNames: { gps: null, flight: null },
+            layerId: null
+        };
+        this.sessions.push(session);
+        return session;
+    }
+    
+    /**
+     * Build layer track data for a session with a GPS log
+     * Flight data is merged with the default alignment and an estimated clock offset.
+     */
+    buildTrackData(session) {
+        const trackData = {
+            ...session.gps,
+            name: session.fileNames.gps
+        };
+        
+        if (session.flight) {
+            const alignment = { ...DEFAULT_SENSOR_ALIGNMENT };
+            trackData.points = mergeFlightCellData(session.gps.points, session.flight, alignment);
+            trackData.sensors = {
+                gpsPoints: session.gps.points,
+                imuSamples: session.flight,
+                alignment,
+                estimate: estimateClockOffset(session.gps.points, session.flight)
+            };
+            trackData.hasOrientation = true;
+        }
+        
+        return trackData;
+    }
+    
+    /**
+     * Forget the session shown in a removed layer
+     */
+    removeLayer(layerId) {
+        this.sessions = this.sessions.filter(session => session.layerId !== layerId);
+    }
+    
+    /**
+     * Forget all sessions
+     */
+    clear() {
+        this.sessions = [];
+    }
+}
+
+/**
+ * Get the first and last timestamp of a log
+ * @returns {object|null} { start, end } in milliseconds
+ */
+function getFlightCellTimeRange(items) {
+    let range = null;
+    
+    items.forEach(item => {
+        const time = item.time ? item.time.getTime() : NaN;
+        if (isNaN(time)) return;
+        
+        if (!range) {
+            range = { start: time, end: time };
+        } else {
+            range.start = Math.min(range.start, time);
+            range.end = Math.max(range.end, time);
+        }
+    });
+    
+    return range;
+}
+
+/**
+ * Overlap of two time ranges in milliseconds
+ * @returns {number} Overlap, negative when the ranges are apart or missing
+ */
+function getTimeRangeOverlap(a, b) {
+    if (!a || !b) return -Infinity;
+    return Math.min(a.end, b.end) - Math.max(a.start, b.start);
+}
@@ -0,0 +1,166 @@
+// ==================== Flight Log ====================
+
+/**
+ * Takeoff and landing detection settings (SI units)
+ * A takeoff needs speed above takeoffSpeed or height above takeoffHeight
+ * for takeoffHoldSeconds; a landing needs speed below landingSpeed and
+ * height below landingHeight for landingHoldSeconds. The gap between the
+ * two sets of thresholds keeps noise around one value from toggling the
+ * state. Heights are above the fixed ground reference shared with the
+ * flight phases (GROUND_REFERENCE), so a hover at altitude stays airborne.
+ * Block times are where the speed crosses blockSpeed before the takeoff
+ * and after the landing.
+ */
+const FLIGHT_DETECTION = {
+    takeoffSpeed: 15,
+    landingSpeed: 8,
+    takeoffHeight: 15,
+    landingHeight: 8,
+    takeoffHoldSeconds: 5,
+    landingHoldSeconds: 30,
+    blockSpeed: 1.5
+};
+
+/**
+ * Detect the flights of a track
+ * The track is taken to start on the ground unless its first points
+ * already meet the takeoff condition; a flight still airborne at the end
+ * of the log lands on the last point and is marked incomplete.
+ * @param {array} points - Track points in SI units
+ * @param {object} options - Overrides for FLIGHT_DETECTION
+ * @returns {array} Flights { number, blockOffIndex, takeoffIndex, landingIndex,
+ *     blockOnIndex, blockOff, takeoff, landing, blockOn, blockSeconds,
+ *     airborneSeconds, distance, maxElevation, complete }
+ */
+function detectFlights(points, options = {}) {
+    const settings = { ...FLIGHT_DETECTION, ...options };
+    if (!points || points.length < 2 || points.some(p => !p.time)) {
+        return [];
+    }
+    
+    const times = points.map(p => p.time.getTime());
+    const speeds = points.map((p, i) => getPointSpeed(points, times, i));
+    const heights = calculateGroundHeights(points, times, speeds).map(height => height !== null ? height : 0);
+    
+    const isTakingOff = (i) => speeds[i] >= settings.takeoffSpeed || heights[i] >= settings.takeoffHeight;
+    const isLanded = (i) => speeds[i] < settings.landingSpeed && heights[i] < settings.landingHeight;
+    
+    const flights = [];
+    let airborne = false;
+    let candidate = null;
+    let takeoffIndex = null;
+    
+    for (let i = 0; i < points.length; i++) {
+        const condition = airborne ? isLanded(i) : isTakingOff(i);
+        if (!condition) {
+            candidate = null;
+            continue;
+        }
+        if (candidate === null) candidate = i;
+        
+        const holdMs = (airborne ? settings.landingHoldSeconds : settings.takeoffHoldSeconds) * 1000;
+        const endOfLog = airborne && i === points.length - 1;
+        if (times[i] - times[candidate] < holdMs && !endOfLog) continue;
+        
+        if (!airborne) {
+            takeoffIndex = candidate;
+        } else {
+            flights.push({ takeoffIndex, landingIndex: candidate, complete: true });
+        }
+        airborne = !airborne;
+        candidate = null;
+    }
+    
+    if (airborne) {
+        flights.push({ takeoffIndex, landingIndex: points.length - 1, complete: false });
+    }
+    
+    let previousBlockOn = 0;
+    return flights.map((flight, f) => {
+        const nextTakeoff = f < flights.length - 1 ? flights[f + 1].takeoffIndex : points.length - 1;
+        
+        // Taxi before the takeoff and after the landing counts as block time
+        let blockOffIndex = flight.takeoffIndex;
+        while (blockOffIndex > previousBlockOn && speeds[blockOffIndex - 1] >= settings.blockSpeed) blockOffIndex--;
+        let blockOnIndex = flight.landingIndex;
+        while (blockOnIndex < nextTakeoff && speeds[blockOnIndex + 1] >= settings.blockSpeed) blockOnIndex++;
+        previousBlockOn = blockOnIndex;
+        
+        const airbornePoints = points.slice(flight.takeoffIndex, flight.landingIndex + 1);
+        const elevations = airbornePoints.map(p => p.elevation).filter(isFiniteNumber);
+        
+        return {
+            number: f + 1,
+            blockOffIndex,
+            takeoffIndex: flight.takeoffIndex,
+            landingIndex: flight.landingIndex,
+            blockOnIndex,
+            blockOff: points[blockOffIndex].time,
+            takeoff: points[flight.takeoffIndex].time,
+            landing: points[flight.landingIndex].time,
+            blockOn: points[blockOnIndex].time,
+            blockSeconds: (times[blockOnIndex] - times[blockOffIndex]) / 1000,
+            airborneSeconds: (times[flight.landingIndex] - times[flight.takeoffIndex]) / 1000,
+            distance: calculateTotalDistance(airbornePoints),
+            maxElevation: elevations.length > 0 ? elevations.reduce((a, b) => Math.max(a, b)) : null,
+            complete: flight.complete
+        };
+    });
+}
+
+/**
+ * Build track data for one flight, from block-off to block-on
+ * The points are shared with the source track, which is already in SI units.
+ * @param {object} trackData - Source track data
+ * @param {object} flight - Flight from detectFlights
+ */
+function buildFlightTrackData(trackData, flight) {
+    const points = trackData.points.slice(flight.blockOffIndex, flight.blockOnIndex + 1);
+    const baseName = (trackData.name || 'Spor').replace(/\.[^.]+$/, '');
+    const name = `${baseName} – flyging ${flight.number}`;
+    
+    return {
+        name,
+        type: trackData.type,
+        points,
+        tracks: [{ name, description: null, type: null, segments: [points] }],
+        routes: [],
+        waypoints: [],
+        hasOrientation: trackData.hasOrientation,
+        units: trackData.units
+    };
+}
+
+/**
+ * Export a logbook to CSV
+ * Fixed units like the point export: times in ISO 8601 UTC, durations in
+ * H:MM, distance in nautical miles and altitude in feet.
+ * @param {array} flights - Flights from detectFlights
+ */
+function exportLogbookToCSV(flights) {
+    const columns = ['flight', 'date', 'block_off', 'takeoff', 'landing', 'block_on',
+        'block_time', 'airborne_time', 'distance_nm', 'max_altitude_ft', 'complete'];
+    const hoursMinutes = (seconds) => {
+        const minutes = Math.round(seconds / 60);
+        return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`;
+    };
+    
+    const lines = [columns.join(',')];
+    flights.forEach(flight => {
+        lines.push([
+            flight.number,
+            flight.blockOff.toISOString().slice(0, 10),
+            flight.blockOff.toISOString(),
+            flight.takeoff.toISOString(),
+            flight.landing.toISOString(),
+            flight.blockOn.toISOString(),
+            hoursMinutes(flight.blockSeconds),
+            hoursMinutes(flight.airborneSeconds),
+            (flight.distance / 1852).toFixed(2),
+            flight.maxElevation !== null ? Math.round(flight.maxElevation / 0.3048) : null,
+            flight.complete
+        ].map(quoteCSVValue).join(','));
+    });
+    
+    return lines.join('\n') + '\n';
+}
@@ -0,0 +1,291 @@
+// ==================== Flight Phases ====================
+
+/**
+ * Flight phases in display order, with chart band colours
+ */
+const FLIGHT_PHASES = {
+    ground: { name: 'Bakke/taxi', color: '#94a3b8' },
+    hover: { name: 'Sveving', color: '#a855f7' },
+    takeoff: { name: 'Avgang', color: '#f59e0b' },
+    climb: { name: 'Stigning', color: '#22c55e' },
+    cruise: { name: 'Marsj', color: '#3b82f6' },
+    descent: { name: 'Nedstigning', color: '#06b6d4' },
+    landing: { name: 'Landing', color: '#ef4444' }
+};
+
+/**
+ * Phase segmentation settings (SI units)
+ * Below taxiSpeed a point is on the ground when it is within groundHeight
+ * of the ground reference and level within groundMaxRoll/groundMaxPitch,
+ * otherwise hovering. Faster points climb or descend beyond verticalRate.
+ * The vertical rate is taken over verticalRateWindowSeconds.
+ * Takeoff and landing run from the ground to transitionHeight, and
+ * phases shorter than minPhaseSeconds join their neighbour.
+ */
+const FLIGHT_PHASE_SETTINGS = {
+    taxiSpeed: 8,
+    verticalRate: 1.5,
+    groundHeight: 5,
+    groundMaxRoll: 5,
+    groundMaxPitch: 10,
+    verticalRateWindowSeconds: 10,
+    transitionHeight: 100,
+    minPhaseSeconds: 10
+};
+
+/**
+ * Ground reference settings (SI units), shared with detectFlights
+ * The ground is confirmed where the aircraft stays slower than maxSpeed
+ * and within settleHeight of one elevation for holdSeconds, at most
+ * maxRise above the current reference. maxRise allows for altimeter drift
+ * and landing sites a little higher than the last one; a hover higher
+ * than that keeps its height.
+ */
+const GROUND_REFERENCE = {
+    maxSpeed: 8,
+    settleHeight: 5,
+    maxRise: 15,
+    holdSeconds: 60
+};
+
+/**
+ * Split a track into flight phases
+ * Uses speed, vertical rate, attitude (when recorded) and height above
+ * the ground reference. Points need time; without elevation every
+ * point counts as near the ground.
+ * @param {array} points - Track points in SI units
+ * @param {object} options - Overrides for FLIGHT_PHASE_SETTINGS
+ * @returns {array} Segments { phase, startIndex, endIndex, startTime, endTime, stats }
+ */
+function segmentFlightPhases(points, options = {}) {
+    const settings = { ...FLIGHT_PHASE_SETTINGS, ...options };
+    if (!points || points.length < 2 || points.some(p => !p.time)) {
+        return [];
+    }
+    
+    const times = points.map(p => p.time.getTime());
+    const speeds = points.map((p, i) => getPointSpeed(points, times, i));
+    const verticalRates = calculateVerticalRates(points, times, settings.verticalRateWindowSeconds * 1000);
+    const heights = calculateGroundHeights(points, times, speeds);
+    
+    const phases = points.map((point, i) => {
+        const speed = speeds[i];
+        const verticalRate = verticalRates[i];
+        
+        if (speed < settings.taxiSpeed) {
+            const level = (!isFiniteNumber(point.roll) || Math.abs(point.roll) <= settings.groundMaxRoll) &&
+                (!isFiniteNumber(point.pitch) || Math.abs(point.pitch) <= settings.groundMaxPitch);
+            const nearGround = heights[i] === null || heights[i] < settings.groundHeight;
+            return nearGround && level && Math.abs(verticalRate) < settings.verticalRate ? 'ground' : 'hover';
+        }
+        if (verticalRate > settings.verticalRate) return 'climb';
+        if (verticalRate < -settings.verticalRate) return 'descent';
+        return 'cruise';
+    });
+    
+    mergeShortPhases(phases, times, settings.minPhaseSeconds * 1000);
+    markTransitionPhases(phases, heights, settings.transitionHeight);
+    
+    return buildPhaseSegments(points, phases, verticalRates);
+}
+
+/**
+ * Vertical rate in m/s at each point
+ * Taken between the points half a window before and after, so single
+ * noisy elevations do not flip the phase.
+ */
+function calculateVerticalRates(points, times, windowMs) {
+    const half = windowMs / 2;
+    const timed = points
+        .map((p, i) => isFiniteNumber(p.elevation) ? i : -1)
+        .filter(i => i >= 0);
+    let before = 0;
+    let after = 0;
+    
+    return points.map((point, i) => {
+        if (timed.length < 2) return 0;
+        
+        while (before < timed.length - 1 && times[timed[before + 1]] <= times[i] - half) before++;
+        while (after < timed.length - 1 && times[timed[after]] < times[i] + half) after++;
+        
+        const a = timed[Math.min(before, after)];
+        const b = timed[after];
+        const dt = (times[b] - times[a]) / 1000;
+        return dt > 0 ? (points[b].elevation - points[a].elevation) / dt : 0;
+    });
+}
+
+/**
+ * Height of every point above a fixed ground reference
+ * The reference starts at the first elevation, taking the track to start
+ * on the ground, and moves only to the elevation of a confirmed ground
+ * stop (see GROUND_REFERENCE). It is held through each flight, so a
+ * long hover or slow flight at altitude keeps its height. A landing site
+ * more than maxRise above the last one cannot be told from a hover and
+ * keeps the old reference.
+ * @param {array} points - Track points in SI units
+ * @param {array} times - Point times in ms
+ * @param {array} speeds - Point speeds in m/s
+ * @param {object} options - Overrides for GROUND_REFERENCE
+ * @returns {array} Height in m per point, null without elevation
+ */
+function calculateGroundHeights(points, times, speeds, options = {}) {
+    const settings = { ...GROUND_REFERENCE, ...options };
+    const holdMs = settings.holdSeconds * 1000;
+    const references = new Array(points.length).fill(null);
+    let reference = null;
+    let candidate = null;
+    let confirmed = null;
+    
+    points.forEach((point, i) => {
+        const elevation = point.elevation;
+        if (!isFiniteNumber(elevation)) return;
+        if (reference === null) reference = elevation;
+        
+        const settled = candidate !== null &&
+            Math.abs(elevation - points[candidate].elevation) < settings.settleHeight;
+        if (!(speeds[i] < settings.maxSpeed)) {
+            candidate = null;
+        } else if (!settled) {
+            candidate = elevation - reference <= settings.maxRise ? i : null;
+        }
+        
+        // The stop was on the ground from its first point
+        if (candidate !== null && candidate !== confirmed && times[i] - times[candidate] >= holdMs) {
+            reference = points[candidate].elevation;
+            confirmed = candidate;
+            references.fill(reference, candidate, i);
+        }
+        references[i] = reference;
+    });
+    
+    return points.map((point, i) => isFiniteNumber(point.elevation) ? point.elevation - references[i] : null);
+}
+
+/**
+ * Speed of a point in m/s, derived from the previous or next point when not recorded
+ */
+function getPointSpeed(points, times, i) {
+    if (isFiniteNumber(points[i].speed)) return points[i].speed;
+    
+    const j = i > 0 ? i - 1 : i + 1;
+    const dt = Math.abs(times[i] - times[j]) / 1000;
+    return dt > 0
+        ? calculateDistance(points[j].lat, points[j].lon, points[i].lat, points[i].lon) / dt
+        : 0;
+}
+
+/**
+ * Give runs shorter than minMs the phase of the run before them
+ * A short first run takes the phase of the run after it.
+ */
+function mergeShortPhases(phases, times, minMs) {
+    const runs = getPhaseRuns(phases);
+    
+    runs.forEach((run, r) => {
+        if (runs.length < 2 || times[run.end] - times[run.start] >= minMs) return;
+        
+        const phase = r > 0 ? phases[runs[r - 1].end] : runs[r + 1].phase;
+        for (let i = run.start; i <= run.end; i++) {
+            phases[i] = phase;
+        }
+    });
+}
+
+/**
+ * Mark the low part of each flight between ground runs as takeoff and landing
+ * Hover points keep their phase. A flight that never reaches
+ * transitionHeight keeps all its phases, so hover taxiing between pads
+ * is not called a takeoff.
+ */
+function markTransitionPhases(phases, heights, transitionHeight) {
+    let start = 0;
+    
+    while (start < phases.length) {
+        if (phases[start] === 'ground') {
+            start++;
+            continue;
+        }
+        
+        let end = start;
+        while (end + 1 < phases.length && phases[end + 1] !== 'ground') end++;
+        
+        const reachesTransition = heights
+            .slice(start, end + 1)
+            .some(height => height !== null && height >= transitionHeight);
+        
+        if (reachesTransition) {
+            if (start > 0) {
+                for (let i = start; i <= end && !(heights[i] >= transitionHeight); i++) {
+                    if (phases[i] !== 'hover') phases[i] = 'takeoff';
+                }
+            }
+            if (end < phases.length - 1) {
+                for (let i = end; i >= start && !(heights[i] >= transitionHeight); i--) {
+                    if (phases[i] !== 'hover') phases[i] = 'landing';
+                }
+            }
+        }
+        
+        start = end + 1;
+    }
+}
+
+/**
+ * Runs of equal phases as { phase, start, end } point indices
+ */
+function getPhaseRuns(phases) {
+    const runs = [];
+    phases.forEach((phase, i) => {
+        const last = runs[runs.length - 1];
+        if (last && last.phase === phase) {
+            last.end = i;
+        } else {
+            runs.push({ phase, start: i, end: i });
+        }
+    });
+    return runs;
+}
+
+/**
+ * Build phase segments with their own statistics
+ * Each segment shares its first point with the end of the one before,
+ * so durations and distances add up to the whole track.
+ */
+function buildPhaseSegments(points, phases, verticalRates) {
+    return getPhaseRuns(phases).map(run => {
+        const startIndex = run.start > 0 ? run.start - 1 : run.start;
+        const segmentPoints = points.slice(startIndex, run.end + 1);
+        const elevations = segmentPoints.map(p => p.elevation).filter(isFiniteNumber);
+        const speeds = segmentPoints.map(p => p.speed).filter(isFiniteNumber);
+        const rates = verticalRates.slice(run.start, run.end + 1);
+        const duration = (points[run.end].time - points[startIndex].time) / 1000;
+        const distance = calculateTotalDistance(segmentPoints);
+        
+        return {
+            phase: run.phase,
+            startIndex: run.start,
+            endIndex: run.end,
+            startTime: points[startIndex].time,
+            endTime: points[run.end].time,
+            stats: {
+                duration,
+                distance,
+                avgSpeed: speeds.length > 0
+                    ? speeds.reduce((a, b) => a + b, 0) / speeds.length
+                    : (duration > 0 ? distance / duration : 0),
+                maxSpeed: speeds.length > 0 ? speeds.reduce((a, b) => Math.max(a, b)) : null,
+                minElevation: elevations.length > 0 ? elevations.reduce((a, b) => Math.min(a, b)) : null,
+                maxElevation: elevations.length > 0 ? elevations.reduce((a, b) => Math.max(a, b)) : null,
+                avgVerticalRate: rates.reduce((a, b) => a + b, 0) / rates.length
+            }
+        };
+    });
+}
+
+/**
+ * Check for a finite number
+ */
+function isFiniteNumber(value) {
+    return typeof value === 'number' && isFinite(value);
+}
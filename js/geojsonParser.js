@@ -0,0 +1,328 @@
+// ==================== GeoJSON Parser ====================
+
+/**
+ * Point property names mapped to point fields
+ * Includes the column names written by buildPointRecords, so exported
+ * point collections read back with the same values.
+ */
+const GEOJSON_PROPERTY_FIELDS = {
+    time: 'time', timestamp: 'time', datetime: 'time', date_time: 'time', when: 'time',
+    ele: 'elevation', elevation: 'elevation', altitude: 'elevation', alt: 'elevation', elevation_m: 'elevation',
+    speed: 'speed', speed_ms: 'speed',
+    course: 'course', heading: 'heading',
+    hdop: 'hdop', vdop: 'vdop', pdop: 'pdop',
+    sat: 'satellites', satellites: 'satellites',
+    pitch: 'pitch', roll: 'roll'
+};
+
+/**
+ * Parse GeoJSON file and extract track data
+ *
+ * LineString/MultiLineString features become tracks, with per-coordinate
+ * times from coordTimes, times or coordinateProperties.times. A collection
+ * of Point features without lines is read as a track of points; otherwise
+ * points are waypoints. Polygons are kept as reference overlays.
+ */
+async function parseGeoJSON(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        
+        reader.onload = (e) => {
+            try {
+                resolve({
+                    name: file.name,
+                    ...parseGeoJSONText(e.target.result)
+                });
+            } catch (error) {
+                reject(error);
+            }
+        };
+        
+        reader.onerror = () => {
+            reject(new Error('Feil ved lesing av fil'));
+        };
+        
+        reader.readAsText(file);
+    });
+}
+
+/**
+ * Parse GeoJSON text
+ * @param {string} text - GeoJSON document
+ * @returns {object} { type, points, tracks, routes, waypoints, overlays }
+ */
+function parseGeoJSONText(text) {
+    let geojson;
+    try {
+        geojson = JSON.parse(text);
+    } catch (error) {
+        throw new Error('Feil ved parsing av GeoJSON-fil');
+    }
+    
+    const features = flattenGeoJSONFeatures(geojson);
+    const lineFeatures = features.filter(f => f.geometry.type === 'LineString' || f.geometry.type === 'MultiLineString');
+    const pointFeatures = features.filter(f => f.geometry.type === 'Point');
+    const overlays = features
+        .filter(f => f.geometry.type === 'Polygon' || f.geometry.type === 'MultiPolygon')
+        .map(f => ({
+            name: getGeoJSONName(f.properties),
+            geometry: f.geometry,
+            properties: f.properties
+        }));
+    
+    const points = [];
+    const tracks = [];
+    let segmentIndex = 0;
+    
+    lineFeatures.forEach((feature, featureIndex) => {
+        const properties = feature.properties;
+        const lines = feature.geometry.type === 'LineString'
+            ? [feature.geometry.coordinates]
+            : feature.geometry.coordinates;
+        const segments = [];
+        let offset = 0;
+        
+        lines.forEach((line, lineIndex) => {
+            // Per-line arrays for a MultiLineString, or one flat array
+            // running on through all its lines
+            const perCoordinate = (values) => {
+                if (!Array.isArray(values)) return [];
+                return feature.geometry.type === 'MultiLineString' && Array.isArray(values[lineIndex])
+                    ? values[lineIndex]
+                    : values.slice(offset, offset + line.length);
+            };
+            const coordinateProperties = properties.coordinateProperties || {};
+            const times = perCoordinate(properties.coordTimes || properties.times || coordinateProperties.times);
+            const elevations = perCoordinate(properties.elevations);
+            const speeds = perCoordinate(properties.speeds);
+            
+            offset += line.length;
+            
+            // Invalid coordinates are dropped after the mapping, so the
+            // per-coordinate values keep their index
+            const segment = line
+                .map((coordinate, i) => {
+                    if (!Array.isArray(coordinate) || coordinate.length < 2) return null;
+                    
+                    const elevation = coordinate.length > 2 ? coordinate[2] : elevations[i];
+                    return {
+                        lat: coordinate[1],
+                        lon: coordinate[0],
+                        elevation: elevation !== undefined ? elevation : null,
+                        time: parseGeoJSONTime(times[i]),
+                        speed: speeds[i] !== undefined ? speeds[i] : null,
+                        course: null,
+                        hdop: null,
+                        vdop: null,
+                        pdop: null,
+                        satellites: null,
+                        segmentIndex
+                    };
+                })
+                .filter(point => point !== null);
+            
+            if (segment.length > 0) {
+                segments.push(segment);
+                points.push(...segment);
+                segmentIndex++;
+            }
+        });
+        
+        if (segments.length > 0) {
+            tracks.push({
+                name: getGeoJSONName(properties) || `Spor ${featureIndex + 1}`,
+                description: properties.description || null,
+                type: null,
+                segments
+            });
+        }
+    });
+    
+    // A collection of points is a track when there are no lines
+    const waypoints = [];
+    const trackPoints = pointFeatures.filter(f => !f.properties.waypoint);
+    if (points.length === 0 && trackPoints.length > 1) {
+        trackPoints.forEach(feature => {
+            points.push({ ...parseGeoJSONPoint(feature), segmentIndex: 0 });
+        });
+        tracks.push({ name: 'Punkter', description: null, type: null, segments: [points] });
+    } else {
+        pointFeatures.forEach(feature => {
+            const point = parseGeoJSONPoint(feature);
+            waypoints.push({
+                lat: point.lat,
+                lon: point.lon,
+                elevation: point.elevation,
+                time: point.time,
+                name: getGeoJSONName(feature.properties),
+                description: feature.properties.description || null,
+                symbol: null
+            });
+        });
+    }
+    
+    if (points.length === 0) {
+        throw new Error('Ingen linjer eller punktsamling funnet i GeoJSON-filen');
+    }
+    
+    return {
+        type: 'geojson',
+        points,
+        tracks,
+        routes: [],
+        waypoints,
+        overlays,
+        hasOrientation: points.some(p => p.pitch !== null && p.pitch !== undefined)
+    };
+}
+
+/**
+ * Flatten a GeoJSON object into features with a single geometry each
+ * GeometryCollections are split up; features without geometry are dropped.
+ */
+function flattenGeoJSONFeatures(geojson) {
+    const features = [];
+    const add = (geometry, properties) => {
+        if (!geometry) return;
+        if (geometry.type === 'GeometryCollection') {
+            (geometry.geometries || []).forEach(g => add(g, properties));
+        } else if (Array.isArray(geometry.coordinates)) {
+            features.push({ geometry, properties: properties || {} });
+        }
+    };
+    
+    if (!geojson || typeof geojson !== 'object') {
+        throw new Error('Ugyldig GeoJSON-fil');
+    }
+    
+    if (geojson.type === 'FeatureCollection') {
+        (geojson.features || []).forEach(feature => add(feature.geometry, feature.properties));
+    } else if (geojson.type === 'Feature') {
+        add(geojson.geometry, geojson.properties);
+    } else {
+        add(geojson, {});
+    }
+    
+    return features;
+}
+
+/**
+ * Parse a Point feature into a track point
+ * Known properties are mapped to point fields, 3D coordinates give elevation.
+ */
+function parseGeoJSONPoint(feature) {
+    const coordinates = feature.geometry.coordinates;
+    const point = {
+        lat: coordinates[1],
+        lon: coordinates[0],
+        elevation: coordinates.length > 2 ? coordinates[2] : null,
+        time: null,
+        speed: null,
+        course: null,
+        hdop: null,
+        vdop: null,
+        pdop: null,
+        satellites: null
+    };
+    
+    Object.entries(feature.properties).forEach(([key, value]) => {
+        const field = GEOJSON_PROPERTY_FIELDS[key.toLowerCase()];
+        if (!field || value === null || value === undefined) return;
+        
+        if (field === 'time') {
+            point.time = parseGeoJSONTime(value);
+        } else if (field !== 'elevation' || point.elevation === null) {
+            const number = parseFloat(value);
+            if (!isNaN(number)) point[field] = number;
+        }
+    });
+    
+    return point;
+}
+
+/**
+ * Parse a time as ISO string or Unix milliseconds
+ */
+function parseGeoJSONTime(value) {
+    if (value === null || value === undefined || value === '') return null;
+    
+    const time = new Date(value);
+    return isNaN(time.getTime()) ? null : time;
+}
+
+/**
+ * Get a display name from common property names
+ */
+function getGeoJSONName(properties) {
+    return properties.name || properties.title || properties.Name || null;
+}
+
+/**
+ * Export track data to GeoJSON (RFC 7946)
+ *
+ * "line" writes the track as one LineString (MultiLineString for several
+ * segments) with per-coordinate coordTimes, elevations and speeds arrays,
+ * plus waypoints as Point features. "points" writes one Point feature per
+ * track point with the same properties as the CSV export.
+ * @param {object} trackData - Track data
+ * @param {string} mode - 'line' or 'points'
+ */
+function exportToGeoJSON(trackData, mode = 'line') {
+    const points = trackData.points;
+    const position = (p) => p.elevation !== null && p.elevation !== undefined
+        ? [p.lon, p.lat, p.elevation]
+        : [p.lon, p.lat];
+    const features = [];
+    
+    if (mode === 'points') {
+        const { records } = buildPointRecords(points);
+        records.forEach((record, i) => {
+            const { lat, lon, ...properties } = record;
+            features.push({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: position(points[i]) },
+                properties
+            });
+        });
+    } else {
+        const segments = splitGPXSegments(points);
+        const perSegment = (read) => segments.map(segment => segment.map(read));
+        const single = segments.length === 1;
+        const times = perSegment(p => p.time ? p.time.toISOString() : null);
+        const elevations = perSegment(p => p.elevation !== undefined ? p.elevation : null);
+        const speeds = perSegment(p => p.speed !== undefined ? p.speed : null);
+        
+        features.push({
+            type: 'Feature',
+            geometry: single
+                ? { type: 'LineString', coordinates: segments[0].map(position) }
+                : { type: 'MultiLineString', coordinates: segments.map(segment => segment.map(position)) },
+            properties: {
+                name: trackData.name || 'GPS Track',
+                source: trackData.type,
+                coordTimes: single ? times[0] : times,
+                elevations: single ? elevations[0] : elevations,
+                speeds: single ? speeds[0] : speeds
+            }
+        });
+        
+        (trackData.waypoints || []).forEach(waypoint => {
+            features.push({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: position(waypoint) },
+                properties: {
+                    name: waypoint.name || null,
+                    description: waypoint.description || null,
+                    time: waypoint.time ? waypoint.time.toISOString() : null,
+                    waypoint: true
+                }
+            });
+        });
+    }
+    
+    return JSON.stringify({
+        type: 'FeatureCollection',
+        name: trackData.name || 'GPS Track',
+        features
+    }, null, 2);
+}
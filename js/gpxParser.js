@@ -2,6 +2,10 @@
 
 /**
  * Parse GPX file and extract track data
+ * 
+ * Returns the flattened track points for statistics and charts together
+ * with the document structure: tracks with segments, routes and waypoints.
+ * Every track point carries a segmentIndex so segment gaps are not drawn.
  */
 async function parseGPX(file) {
     return new Promise((resolve, reject) => {
@@ -18,46 +22,72 @@ async function parseGPX(file) {
                     throw new Error('Feil ved parsing av GPX-fil');
                 }
                 
+                const gpx = xmlDoc.documentElement;
                 const points = [];
-                const trkpts = xmlDoc.querySelectorAll('trkpt');
+                let segmentIndex = 0;
                 
-                if (trkpts.length === 0) {
-                    throw new Error('Ingen trackpoints funnet i GPX-filen');
-                }
-                
-                trkpts.forEach((trkpt) => {
-                    const lat = parseFloat(trkpt.getAttribute('lat'));
-                    const lon = parseFloat(trkpt.getAttribute('lon'));
-                    
-                    const eleElement = trkpt.querySelector('ele');
-                    const timeElement = trkpt.querySelector('time');
-                    const speedElement = trkpt.querySelector('speed');
-                    const courseElement = trkpt.querySelector('course');
-                    const hdopElement = trkpt.querySelector('hdop');
-                    const vdopElement = trkpt.querySelector('vdop');
-                    const pdopElement = trkpt.querySelector('pdop');
-                    const satElement = trkpt.querySelector('sat');
-                    
-                    const point = {
-                        lat,
-                        lon,
-                        elevation: eleElement ? parseFloat(eleElement.textContent) : null,
-                        time: timeElement ? new Date(timeElement.textContent) : null,
-                        speed: speedElement ? parseFloat(speedElement.textContent) : null,
-                        course: courseElement ? parseFloat(courseElement.textContent) : null,
-                        hdop: hdopElement ? parseFloat(hdopElement.textContent) : null,
-                        vdop: vdopElement ? parseFloat(vdopElement.textContent) : null,
-                        pdop: pdopElement ? parseFloat(pdopElement.textContent) : null,
-                        satellites: satElement ? parseInt(satElement.textContent) : null
+                const tracks = getGPXChildren(gpx, 'trk').map((trk, trackIndex) => {
+                    const track = {
+                        name: getGPXChildText(trk, 'name') || `Spor ${trackIndex + 1}`,
+                        description: getGPXChildText(trk, 'desc'),
+                        type: getGPXChildText(trk, 'type'),
+                        segments: []
                     };
                     
-                    points.push(point);
+                    getGPXChildren(trk, 'trkseg').forEach(trkseg => {
+                        const segment = getGPXChildren(trkseg, 'trkpt').map(trkpt => {
+                            const point = parseGPXPoint(trkpt);
+                            point.segmentIndex = segmentIndex;
+                            return point;
+                        });
+                        
+                        if (segment.length > 0) {
+                            track.segments.push(segment);
+                            points.push(...segment);
+                            segmentIndex++;
+                        }
+                    });
+                    
+                    return track;
                 });
                 
+                const routes = getGPXChildren(gpx, 'rte').map((rte, routeIndex) => ({
+                    name: getGPXChildText(rte, 'name') || `Rute ${routeIndex + 1}`,
+                    description: getGPXChildText(rte, 'desc'),
+                    points: getGPXChildren(rte, 'rtept').map(rtept => ({
+                        ...parseGPXPoint(rtept),
+                        name: getGPXChildText(rtept, 'name')
+                    }))
+                }));
+                
+                const waypoints = getGPXChildren(gpx, 'wpt').map(wpt => ({
+                    ...parseGPXPoint(wpt),
+                    name: getGPXChildText(wpt, 'name'),
+                    description: getGPXChildText(wpt, 'desc'),
+                    symbol: getGPXChildText(wpt, 'sym')
+                }));
+                
+                // Route-only files are shown as a track along the route
+                if (points.length === 0) {
+                    routes.forEach(route => {
+                        route.points.forEach(point => {
+                            points.push({ ...point, segmentIndex });
+                        });
+                        segmentIndex++;
+                    });
+                }
+                
+                if (points.length === 0) {
+                    throw new Error('Ingen trackpoints funnet i GPX-filen');
+                }
+                
                 resolve({
                     name: file.name,
                     type: 'gpx',
-                    points
+                    points,
+                    tracks,
+                    routes,
+                    waypoints
                 });
             } catch (error) {
                 reject(error);
@@ -73,36 +103,356 @@ async function parseGPX(file) {
 }
 
 /**
- * Export track data to GPX format
+ * Namespace for point data that GPX 1.1 has no element for
+ * Written by exportToGPX and read back by parseGPXExtensions.
  */
-function exportToGPX(trackData) {
-    let gpx = '<?xml version="1.0" encoding="UTF-8"?>\n';
-    gpx += '<gpx version="1.1" creator="GPS Track Viewer">\n';
-    gpx += '  <trk>\n';
-    gpx += `    <name>${trackData.name}</name>\n`;
-    gpx += '    <trkseg>\n';
-    
-    trackData.points.forEach(point => {
-        gpx += `      <trkpt lat="${point.lat}" lon="${point.lon}">\n`;
-        if (point.elevation !== null) {
-            gpx += `        <ele>${point.elevation}</ele>\n`;
+const GPX_VIEWER_NAMESPACE = 'urn:gps-track-viewer:gpx-extensions:v1';
+const GPX_TPX_NAMESPACE = 'http://www.garmin.com/xmlschemas/TrackPointExtension/v2';
+
+/**
+ * Known extension fields by namespace URI and element local name
+ * Maps to point model fields, anything else ends up in point.extensions.
+ * Leaves in the viewer namespace are named after the field they hold.
+ */
+const GPX_EXTENSION_FIELDS = {
+    'http://www.garmin.com/xmlschemas/TrackPointExtension/v1': {
+        hr: 'heartRate', cad: 'cadence', atemp: 'temperature', wtemp: 'waterTemperature', depth: 'depth'
+    },
+    'http://www.garmin.com/xmlschemas/TrackPointExtension/v2': {
+        hr: 'heartRate', cad: 'cadence', atemp: 'temperature', wtemp: 'waterTemperature', depth: 'depth',
+        speed: 'speed', course: 'course'
+    },
+    'http://www.garmin.com/xmlschemas/GpxExtensions/v3': {
+        Temperature: 'temperature', Depth: 'depth'
+    },
+    'http://www.cluetrust.com/XML/GPXDATA/1/0': {
+        hr: 'heartRate', cadence: 'cadence', temp: 'temperature'
+    },
+    'https://osmand.net': {
+        speed: 'speed', heading: 'course', hdop: 'hdop'
+    },
+    'http://osmand.net': {
+        speed: 'speed', heading: 'course', hdop: 'hdop'
+    }
+};
+
+/**
+ * Parse a GPX point element (trkpt, rtept or wpt)
+ * Standard GPX fields take precedence over the same value in an extension.
+ */
+function parseGPXPoint(element) {
+    const number = (tag, parse = parseFloat) => {
+        const text = getGPXChildText(element, tag);
+        return text !== null ? parse(text) : null;
+    };
+    const time = getGPXChildText(element, 'time');
+    
+    const point = {
+        lat: parseFloat(element.getAttribute('lat')),
+        lon: parseFloat(element.getAttribute('lon')),
+        elevation: number('ele'),
+        time: time ? new Date(time) : null,
+        speed: number('speed'),
+        course: number('course'),
+        hdop: number('hdop'),
+        vdop: number('vdop'),
+        pdop: number('pdop'),
+        satellites: number('sat', parseInt),
+        geoidHeight: number('geoidheight'),
+        fix: getGPXChildText(element, 'fix'),
+        ageOfDgpsData: number('ageofdgpsdata'),
+        dgpsId: number('dgpsid', parseInt)
+    };
+    
+    const extensions = getGPXChildren(element, 'extensions')[0];
+    if (extensions) {
+        parseGPXExtensions(extensions, point);
+    }
+    
+    return point;
+}
+
+/**
+ * Extract extension values into the point model
+ * Container elements such as gpxtpx:TrackPointExtension are walked, and
+ * every leaf value is either mapped to a known field or kept as a
+ * key/value pair in point.extensions.
+ */
+function parseGPXExtensions(extensions, point) {
+    const leaves = [];
+    const collect = (element) => {
+        if (element.children.length === 0) {
+            leaves.push(element);
+        } else {
+            Array.from(element.children).forEach(collect);
         }
-        if (point.time) {
-            gpx += `        <time>${point.time.toISOString()}</time>\n`;
+    };
+    Array.from(extensions.children).forEach(element => {
+        if (element.namespaceURI === GPX_VIEWER_NAMESPACE) {
+            if (parseGPXViewerExtension(element, point)) return;
         }
-        if (point.speed !== null) {
-            gpx += `        <speed>${point.speed}</speed>\n`;
+        collect(element);
+    });
+    
+    leaves.forEach(leaf => {
+        const text = leaf.textContent.trim();
+        if (!text) return;
+        
+        const knownFields = GPX_EXTENSION_FIELDS[leaf.namespaceURI] || {};
+        const field = leaf.namespaceURI === GPX_VIEWER_NAMESPACE ? leaf.localName : knownFields[leaf.localName];
+        
+        if (field) {
+            const value = parseFloat(text);
+            if (!isNaN(value) && (point[field] === null || point[field] === undefined)) {
+                point[field] = value;
+            }
+        } else {
+            point.extensions = point.extensions || {};
+            const key = leaf.prefix ? `${leaf.prefix}:${leaf.localName}` : leaf.localName;
+            point.extensions[key] = text;
         }
-        if (point.course !== null) {
-            gpx += `        <course>${point.course}</course>\n`;
+    });
+}
+
+/**
+ * Read the structured elements of the viewer namespace
+ * @returns {boolean} true if the element was consumed
+ */
+function parseGPXViewerExtension(element, point) {
+    const number = (source, name) => {
+        const value = source.getAttribute(name);
+        return value !== null ? parseFloat(value) : null;
+    };
+    
+    switch (element.localName) {
+        case 'gyro':
+        case 'accel':
+            point[element.localName] = { x: number(element, 'x'), y: number(element, 'y'), z: number(element, 'z') };
+            return true;
+        case 'satellites':
+            point.satelliteRecords = getGPXChildren(element, 'sv').map(sv => ({
+                system: sv.getAttribute('system'),
+                prn: parseInt(sv.getAttribute('prn')),
+                elevation: number(sv, 'elevation'),
+                azimuth: number(sv, 'azimuth'),
+                snr: number(sv, 'snr'),
+                usedInFix: sv.getAttribute('used') === 'true'
+            }));
+            return true;
+        case 'fix': {
+            const text = element.textContent.trim();
+            if (point.fix === null && text) {
+                point.fix = isNaN(Number(text)) ? text : Number(text);
+            }
+            return true;
         }
-        gpx += '      </trkpt>\n';
+        case 'extension':
+            point.extensions = point.extensions || {};
+            point.extensions[element.getAttribute('key')] = element.textContent.trim();
+            return true;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Get direct child elements by local name
+ * Avoids matching same-named elements deeper in the tree, e.g. a
+ * track's <name> versus the <name> of its points.
+ */
+function getGPXChildren(element, localName) {
+    return Array.from(element.children).filter(child => child.localName === localName);
+}
+
+/**
+ * Get the trimmed text of a direct child element, or null
+ */
+function getGPXChildText(element, localName) {
+    const child = getGPXChildren(element, localName)[0];
+    return child ? child.textContent.trim() : null;
+}
+
+/**
+ * Garmin TrackPointExtension v2 fields, in schema order
+ */
+const GPX_TPX_FIELDS = [
+    ['temperature', 'atemp'],
+    ['waterTemperature', 'wtemp'],
+    ['depth', 'depth'],
+    ['heartRate', 'hr'],
+    ['cadence', 'cad']
+];
+
+const GPX_FIX_VALUES = ['none', '2d', '3d', 'dgps', 'pps'];
+
+/**
+ * Point fields with an element of their own, or rebuilt on import
+ * Every other finite number on a point is written to the viewer
+ * namespace under its field name, so channels such as pressureAltitude,
+ * yaw or gpsAccuracy survive an export and re-import.
+ */
+const GPX_EXPORT_SKIPPED_FIELDS = new Set([
+    'lat', 'lon', 'elevation', 'geoidHeight', 'fix', 'satellites', 'hdop', 'vdop', 'pdop',
+    'ageOfDgpsData', 'dgpsId', 'segmentIndex', 'arrayIndex',
+    ...GPX_TPX_FIELDS.map(([field]) => field)
+]);
+
+/**
+ * Export track data to GPX 1.1
+ * 
+ * Writes schema-valid GPX 1.1: standard elements in wptType order, Garmin
+ * TrackPointExtension for heart rate/cadence/temperature, and the viewer
+ * namespace for speed, course, attitude, accelerations, GST statistics,
+ * satellite records and any other numeric channel of the points.
+ * parseGPX reads all of it back into the same points.
+ */
+function exportToGPX(trackData) {
+    let gpx = '<?xml version="1.0" encoding="UTF-8"?>\n';
+    gpx += '<gpx version="1.1" creator="GPS Track Viewer"\n';
+    gpx += '     xmlns="http://www.topografix.com/GPX/1/1"\n';
+    gpx += '     xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"\n';
+    gpx += `     xmlns:gpxtpx="${GPX_TPX_NAMESPACE}"\n`;
+    gpx += `     xmlns:gtv="${GPX_VIEWER_NAMESPACE}"\n`;
+    gpx += '     xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd ';
+    gpx += 'http://www.garmin.com/xmlschemas/TrackPointExtension/v2 http://www.garmin.com/xmlschemas/TrackPointExtensionv2.xsd">\n';
+    gpx += '  <metadata>\n';
+    gpx += `    <name>${escapeHtml(trackData.name || 'GPS Track')}</name>\n`;
+    gpx += `    <time>${new Date().toISOString()}</time>\n`;
+    gpx += '  </metadata>\n';
+    
+    (trackData.waypoints || []).forEach(waypoint => {
+        gpx += buildGPXPoint('wpt', waypoint, '  ');
     });
     
-    gpx += '    </trkseg>\n';
-    gpx += '  </trk>\n';
-    gpx += '</gpx>';
+    (trackData.routes || []).forEach(route => {
+        gpx += '  <rte>\n';
+        gpx += `    <name>${escapeHtml(route.name)}</name>\n`;
+        route.points.forEach(point => {
+            gpx += buildGPXPoint('rtept', point, '    ');
+        });
+        gpx += '  </rte>\n';
+    });
+    
+    // Route-only documents were displayed as a track, keep them as routes
+    const routeOnly = (!trackData.tracks || trackData.tracks.length === 0) &&
+        trackData.routes && trackData.routes.length > 0;
+    
+    const tracks = trackData.tracks && trackData.tracks.length > 0
+        ? trackData.tracks
+        : [{ name: trackData.name, segments: splitGPXSegments(trackData.points) }];
+    
+    if (!routeOnly) {
+        tracks.forEach(track => {
+            gpx += '  <trk>\n';
+            gpx += `    <name>${escapeHtml(track.name || trackData.name || 'GPS Track')}</name>\n`;
+            if (track.description) gpx += `    <desc>${escapeHtml(track.description)}</desc>\n`;
+            if (track.type) gpx += `    <type>${escapeHtml(track.type)}</type>\n`;
+            track.segments.forEach(segment => {
+                gpx += '    <trkseg>\n';
+                segment.forEach(point => {
+                    gpx += buildGPXPoint('trkpt', point, '      ');
+                });
+                gpx += '    </trkseg>\n';
+            });
+            gpx += '  </trk>\n';
+        });
+    }
+    
+    gpx += '</gpx>\n';
     
     return gpx;
 }
 
+/**
+ * Split a flat point list into segments by segmentIndex
+ */
+function splitGPXSegments(points) {
+    const segments = [];
+    points.forEach((point, i) => {
+        if (i === 0 || point.segmentIndex !== points[i - 1].segmentIndex) {
+            segments.push([]);
+        }
+        segments[segments.length - 1].push(point);
+    });
+    return segments;
+}
+
+/**
+ * Build one GPX point element (wpt, rtept or trkpt)
+ */
+function buildGPXPoint(tag, point, indent) {
+    const has = (value) => value !== null && value !== undefined && !(typeof value === 'number' && isNaN(value));
+    const inner = indent + '  ';
+    let xml = `${indent}<${tag} lat="${point.lat}" lon="${point.lon}">\n`;
+    
+    // Standard elements, in the order required by the GPX 1.1 schema
+    if (has(point.elevation)) xml += `${inner}<ele>${point.elevation}</ele>\n`;
+    if (point.time) xml += `${inner}<time>${point.time.toISOString()}</time>\n`;
+    if (has(point.geoidHeight)) xml += `${inner}<geoidheight>${point.geoidHeight}</geoidheight>\n`;
+    if (has(point.name)) xml += `${inner}<name>${escapeHtml(point.name)}</name>\n`;
+    if (has(point.description)) xml += `${inner}<desc>${escapeHtml(point.description)}</desc>\n`;
+    if (has(point.symbol)) xml += `${inner}<sym>${escapeHtml(point.symbol)}</sym>\n`;
+    const standardFix = GPX_FIX_VALUES.includes(point.fix);
+    if (standardFix) xml += `${inner}<fix>${point.fix}</fix>\n`;
+    if (has(point.satellites)) xml += `${inner}<sat>${point.satellites}</sat>\n`;
+    if (has(point.hdop)) xml += `${inner}<hdop>${point.hdop}</hdop>\n`;
+    if (has(point.vdop)) xml += `${inner}<vdop>${point.vdop}</vdop>\n`;
+    if (has(point.pdop)) xml += `${inner}<pdop>${point.pdop}</pdop>\n`;
+    if (has(point.ageOfDgpsData)) xml += `${inner}<ageofdgpsdata>${point.ageOfDgpsData}</ageofdgpsdata>\n`;
+    if (has(point.dgpsId)) xml += `${inner}<dgpsid>${point.dgpsId}</dgpsid>\n`;
+    
+    let extensions = '';
+    const ext = inner + '  ';
+    
+    const tpxFields = GPX_TPX_FIELDS.filter(([field]) => has(point[field]));
+    if (tpxFields.length > 0) {
+        extensions += `${ext}<gpxtpx:TrackPointExtension>\n`;
+        tpxFields.forEach(([field, element]) => {
+            extensions += `${ext}  <gpxtpx:${element}>${point[field]}</gpxtpx:${element}>\n`;
+        });
+        extensions += `${ext}</gpxtpx:TrackPointExtension>\n`;
+    }
+    
+    Object.entries(point).forEach(([field, value]) => {
+        if (typeof value !== 'number' || !isFinite(value) || GPX_EXPORT_SKIPPED_FIELDS.has(field)) return;
+        if (!/^[A-Za-z_][\w-]*$/.test(field)) return;
+        extensions += `${ext}<gtv:${field}>${value}</gtv:${field}>\n`;
+    });
+    
+    // Non-standard fix values, e.g. FlightCell fix type numbers
+    if (has(point.fix) && !standardFix) {
+        extensions += `${ext}<gtv:fix>${escapeHtml(point.fix)}</gtv:fix>\n`;
+    }
+    
+    ['gyro', 'accel'].forEach(field => {
+        const vector = point[field];
+        if (vector) {
+            extensions += `${ext}<gtv:${field} x="${vector.x}" y="${vector.y}" z="${vector.z}"/>\n`;
+        }
+    });
+    
+    if (point.satelliteRecords && point.satelliteRecords.length > 0) {
+        extensions += `${ext}<gtv:satellites>\n`;
+        point.satelliteRecords.forEach(sat => {
+            let attributes = `system="${escapeHtml(sat.system)}" prn="${sat.prn}" used="${sat.usedInFix}"`;
+            if (has(sat.elevation)) attributes += ` elevation="${sat.elevation}"`;
+            if (has(sat.azimuth)) attributes += ` azimuth="${sat.azimuth}"`;
+            if (has(sat.snr)) attributes += ` snr="${sat.snr}"`;
+            extensions += `${ext}  <gtv:sv ${attributes}/>\n`;
+        });
+        extensions += `${ext}</gtv:satellites>\n`;
+    }
+    
+    if (point.extensions) {
+        Object.entries(point.extensions).forEach(([key, value]) => {
+            extensions += `${ext}<gtv:extension key="${escapeHtml(key)}">${escapeHtml(value)}</gtv:extension>\n`;
+        });
+    }
+    
+    if (extensions) {
+        xml += `${inner}<extensions>\n${extensions}${inner}</extensions>\n`;
+    }
+    
+    xml += `${indent}</${tag}>\n`;
+    return xml;
+}
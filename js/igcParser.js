@@ -0,0 +1,320 @@
+// ==================== IGC Parser ====================
+
+/**
+ * Header (H-record) subtypes mapped to header fields
+ */
+const IGC_HEADER_FIELDS = {
+    DTE: 'date',
+    PLT: 'pilot',
+    CM2: 'copilot',
+    GTY: 'gliderType',
+    GID: 'gliderId',
+    CID: 'competitionId',
+    CCL: 'competitionClass',
+    FTY: 'loggerType',
+    RFW: 'firmware',
+    RHW: 'hardware',
+    GPS: 'gpsReceiver',
+    PRS: 'pressureSensor',
+    DTM: 'datum',
+    ALG: 'gnssAltitudeDatum',
+    ALP: 'pressureAltitudeDatum',
+    TZN: 'timezone'
+};
+
+/**
+ * I/J-record extension codes mapped to point fields
+ * Values are converted to the point model units, unmapped codes are kept
+ * in point.extensions under their three-letter code.
+ */
+const IGC_EXTENSION_FIELDS = {
+    FXA: { field: 'fixAccuracy' },
+    SIU: { field: 'satellites' },
+    ENL: { field: 'engineNoise' },
+    MOP: { field: 'meansOfPropulsion' },
+    TAS: { field: 'trueAirspeed', scale: 1 / 3.6 },
+    IAS: { field: 'indicatedAirspeed', scale: 1 / 3.6 },
+    GSP: { field: 'speed', scale: 1 / 3.6 },
+    TRT: { field: 'course' },
+    HDT: { field: 'heading' },
+    OAT: { field: 'temperature', scale: 0.1 },
+    VAT: { field: 'variometer', scale: 0.1 }
+};
+
+/**
+ * Parse IGC file content
+ *
+ * Returns the same track object as parseGPX, with the pressure and GNSS
+ * altitudes of every B-record kept as separate channels, plus the flight
+ * header, the declared task and whether the file carries a G-record.
+ * Files are streamed through createIGCParser; this is the same parse
+ * for text already in memory.
+ * @param {string} text - IGC file content
+ * @returns {object} { type, points, tracks, routes, waypoints, header, task, extensions, signature, altitudeChannels }
+ */
+function parseIGCText(text) {
+    const parser = createIGCParser();
+    text.split(/\r?\n/).forEach(line => parser.push(line));
+    return parser.finish();
+}
+
+/**
+ * Create an incremental IGC parser
+ * Records are pushed one line at a time, so logs can be parsed while they
+ * are streamed from disk.
+ * @returns {object} { push(line), finish() } where finish returns the parseIGCText result
+ */
+function createIGCParser() {
+    const header = {};
+    const points = [];
+    const taskLines = [];
+    let fixExtensions = [];
+    let kExtensions = [];
+    let kValues = {};
+    let signature = false;
+    let dayOffset = 0;
+    let lastSeconds = null;
+    let flightDate = null;
+    
+    const push = (rawLine) => {
+        const line = rawLine.trim();
+        if (!line) return;
+        
+        switch (line[0]) {
+            case 'A':
+                header.manufacturer = line.substring(1, 4);
+                header.loggerId = line.substring(4, 7);
+                break;
+            case 'H': {
+                const field = IGC_HEADER_FIELDS[line.substring(2, 5)];
+                if (field) {
+                    header[field] = parseIGCHeaderValue(line);
+                }
+                if (field === 'date') {
+                    flightDate = parseIGCDate(header.date);
+                }
+                break;
+            }
+            case 'I':
+                fixExtensions = parseIGCExtensionDefinitions(line);
+                break;
+            case 'J':
+                kExtensions = parseIGCExtensionDefinitions(line);
+                break;
+            case 'C':
+                taskLines.push(line);
+                break;
+            case 'K':
+                // K-record values are carried forward onto the following fixes
+                kValues = parseIGCExtensionValues(line, kExtensions);
+                break;
+            case 'G':
+                signature = true;
+                break;
+            case 'B': {
+                if (!flightDate) {
+                    throw new Error('IGC-filen mangler dato (HFDTE) før første B-record');
+                }
+                
+                const seconds = parseInt(line.substring(1, 3)) * 3600 +
+                    parseInt(line.substring(3, 5)) * 60 +
+                    parseInt(line.substring(5, 7));
+                if (isNaN(seconds)) return;
+                
+                // Flights across UTC midnight continue on the next day
+                if (lastSeconds !== null && seconds < lastSeconds - 43200) {
+                    dayOffset++;
+                }
+                lastSeconds = seconds;
+                
+                const point = parseIGCFix(line);
+                if (!point) return;
+                
+                point.time = new Date(flightDate.getTime() + (dayOffset * 86400 + seconds) * 1000);
+                Object.assign(point, kValues, parseIGCExtensionValues(line, fixExtensions));
+                if (kValues.extensions || point.extensions) {
+                    point.extensions = { ...kValues.extensions, ...point.extensions };
+                }
+                points.push(point);
+                break;
+            }
+            default:
+                break;
+        }
+    };
+    
+    const finish = () => {
+        if (points.length === 0) {
+            throw new Error('Ingen B-records funnet i IGC-filen');
+        }
+        
+        const task = parseIGCTask(taskLines);
+        const name = [header.pilot, header.gliderType].filter(Boolean).join(' – ') || 'IGC-logg';
+        
+        return {
+            type: 'igc',
+            points,
+            tracks: [{ name, description: null, type: null, segments: [points] }],
+            routes: task && task.points.length > 1 ? [{ name: task.description || 'Oppgave', description: null, points: task.points }] : [],
+            waypoints: [],
+            header,
+            task,
+            extensions: fixExtensions.map(ext => ext.code),
+            signature: signature ? 'present' : 'absent',
+            altitudeChannels: {
+                pressure: points.some(p => p.pressureAltitude !== null),
+                gnss: points.some(p => p.gnssAltitude !== null)
+            }
+        };
+    };
+    
+    return { push, finish };
+}
+
+/**
+ * Parse a B-record fix
+ * Altitudes of 00000 mean the channel is not recorded. The elevation field
+ * uses GNSS altitude, falling back to pressure altitude.
+ */
+function parseIGCFix(line) {
+    if (line.length < 35) return null;
+    
+    const lat = parseIGCCoordinate(line.substring(7, 15));
+    const lon = parseIGCCoordinate(line.substring(15, 24));
+    if (lat === null || lon === null) return null;
+    
+    const pressureAltitude = parseInt(line.substring(25, 30));
+    const gnssAltitude = parseInt(line.substring(30, 35));
+    const pressure = isNaN(pressureAltitude) || pressureAltitude === 0 ? null : pressureAltitude;
+    const gnss = isNaN(gnssAltitude) || gnssAltitude === 0 ? null : gnssAltitude;
+    
+    return {
+        lat,
+        lon,
+        elevation: gnss !== null ? gnss : pressure,
+        pressureAltitude: pressure,
+        gnssAltitude: gnss,
+        time: null,
+        speed: null,
+        course: null,
+        hdop: null,
+        vdop: null,
+        pdop: null,
+        satellites: null,
+        fix: line[24] === 'A' ? '3d' : '2d'
+    };
+}
+
+/**
+ * Parse an IGC coordinate (DDMMmmmN or DDDMMmmmE)
+ */
+function parseIGCCoordinate(value) {
+    const match = /^(\d{2,3})(\d{2})(\d{3})([NSEW])$/.exec(value);
+    if (!match) return null;
+    
+    let decimal = parseInt(match[1]) + (parseInt(match[2]) + parseInt(match[3]) / 1000) / 60;
+    if (match[4] === 'S' || match[4] === 'W') {
+        decimal = -decimal;
+    }
+    return decimal;
+}
+
+/**
+ * Get the value of an H-record
+ * Handles both "HFPLTPILOTINCHARGE:Name" and the older "HFDTE260415" form.
+ */
+function parseIGCHeaderValue(line) {
+    const colon = line.indexOf(':');
+    const value = colon !== -1 ? line.substring(colon + 1) : line.substring(5);
+    return value.trim();
+}
+
+/**
+ * Parse the DDMMYY flight date (optionally followed by ",NN")
+ */
+function parseIGCDate(value) {
+    const match = /^(\d{2})(\d{2})(\d{2})/.exec(value || '');
+    if (!match) return null;
+    
+    const year = parseInt(match[3]);
+    return new Date(Date.UTC(year < 80 ? 2000 + year : 1900 + year, parseInt(match[2]) - 1, parseInt(match[1])));
+}
+
+/**
+ * Parse an I- or J-record into extension definitions
+ * Byte positions are 1-based and inclusive, as in the IGC specification.
+ */
+function parseIGCExtensionDefinitions(line) {
+    const count = parseInt(line.substring(1, 3));
+    const definitions = [];
+    
+    for (let i = 0; i < count; i++) {
+        const offset = 3 + i * 7;
+        const start = parseInt(line.substring(offset, offset + 2));
+        const end = parseInt(line.substring(offset + 2, offset + 4));
+        const code = line.substring(offset + 4, offset + 7);
+        if (!isNaN(start) && !isNaN(end) && code.length === 3) {
+            definitions.push({ start, end, code });
+        }
+    }
+    
+    return definitions;
+}
+
+/**
+ * Read the extension values of a B- or K-record
+ */
+function parseIGCExtensionValues(line, definitions) {
+    const values = {};
+    
+    definitions.forEach(({ start, end, code }) => {
+        const raw = line.substring(start - 1, end).trim();
+        if (!raw) return;
+        
+        const known = IGC_EXTENSION_FIELDS[code];
+        const number = parseInt(raw);
+        if (known && !isNaN(number)) {
+            values[known.field] = known.scale ? number * known.scale : number;
+        } else {
+            values.extensions = values.extensions || {};
+            values.extensions[code] = raw;
+        }
+    });
+    
+    return values;
+}
+
+/**
+ * Parse the C-record task declaration
+ * The first record holds declaration time, task number and description;
+ * the following ones are takeoff, start, turnpoints, finish and landing.
+ * Unset points (coordinates all zero) are skipped.
+ */
+function parseIGCTask(lines) {
+    if (lines.length === 0) return null;
+    
+    const first = lines[0];
+    const points = [];
+    
+    lines.slice(1).forEach(line => {
+        const lat = parseIGCCoordinate(line.substring(1, 9));
+        const lon = parseIGCCoordinate(line.substring(9, 18));
+        if (lat === null || lon === null || (lat === 0 && lon === 0)) return;
+        
+        points.push({
+            lat,
+            lon,
+            elevation: null,
+            time: null,
+            name: line.substring(18).trim() || null
+        });
+    });
+    
+    return {
+        declared: parseIGCDate(first.substring(1, 7)),
+        taskNumber: first.substring(19, 23).trim() || null,
+        turnpointCount: parseInt(first.substring(23, 25)) || 0,
+        description: first.substring(25).trim() || null,
+        points
+    };
+}
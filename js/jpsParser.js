@@ -1,118 +1,333 @@
 // ==================== JPS/NMEA Parser ====================
 
+const NMEA_DAY_MS = 24 * 60 * 60 * 1000;
+
 /**
- * Parse JPS/NMEA file and extract track data
- */
-async function parseJPS(file) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        
-        reader.onload = (e) => {
-            try {
-                const lines = e.target.result.split('\n');
-                const points = [];
-                const dataMap = new Map();
-                
-                lines.forEach(line => {
-                    line = line.trim();
-                    if (!line.startsWith('$')) return;
-                    
-                    const parts = line.split(',');
-                    const messageType = parts[0];
-                    
-                    if (messageType === '$GPGGA') {
-                        // Global Positioning System Fix Data
-                        const data = parseGPGGA(parts);
-                        if (data) {
-                            const key = data.time.toISOString();
-                            if (!dataMap.has(key)) {
-                                dataMap.set(key, {});
-                            }
-                            Object.assign(dataMap.get(key), data);
-                        }
-                    } else if (messageType === '$GNVTG') {
-                        // Track made good and Ground speed
-                        const data = parseGNVTG(parts);
-                        if (data) {
-                            const lastKey = Array.from(dataMap.keys()).pop();
-                            if (lastKey && dataMap.has(lastKey)) {
-                                Object.assign(dataMap.get(lastKey), data);
-                            }
-                        }
-                    } else if (messageType === '$GNGSA') {
-                        // GPS DOP and active satellites
-                        const data = parseGNGSA(parts);
-                        if (data) {
-                            const lastKey = Array.from(dataMap.keys()).pop();
-                            if (lastKey && dataMap.has(lastKey)) {
-                                const existing = dataMap.get(lastKey);
-                                if (!existing.hdop && data.hdop) existing.hdop = data.hdop;
-                                if (!existing.vdop && data.vdop) existing.vdop = data.vdop;
-                                if (!existing.pdop && data.pdop) existing.pdop = data.pdop;
-                            }
-                        }
-                    } else if (messageType === '$GNZDA') {
-                        // Time & Date
-                        const data = parseGNZDA(parts);
-                        if (data) {
-                            const lastKey = Array.from(dataMap.keys()).pop();
-                            if (lastKey && dataMap.has(lastKey)) {
-                                Object.assign(dataMap.get(lastKey), { fullDate: data.date });
-                            }
-                        }
-                    }
-                });
-                
-                // Convert map to points array
-                dataMap.forEach((data, key) => {
-                    if (data.lat && data.lon) {
-                        points.push({
-                            lat: data.lat,
-                            lon: data.lon,
-                            elevation: data.elevation || null,
-                            time: data.time,
-                            speed: data.speed || null,
-                            course: data.course || null,
-                            hdop: data.hdop || null,
-                            vdop: data.vdop || null,
-                            pdop: data.pdop || null,
-                            satellites: data.satellites || null
-                        });
-                    }
-                });
-                
-                if (points.length === 0) {
-                    throw new Error('Ingen GPS-punkter funnet i JPS-filen');
-                }
-                
-                // Sort by time
-                points.sort((a, b) => a.time - b.time);
-                
-                resolve({
-                    name: file.name,
-                    type: 'jps',
-                    points
-                });
-            } catch (error) {
-                reject(error);
+ * Parse NMEA text into time-ordered points
+ * 
+ * Sentences are dispatched on their type regardless of talker ID, so
+ * GPS, GLONASS, Galileo, BeiDou and combined (GN) receivers all work.
+ * NMEA fix sentences only carry the time of day. The date is taken from
+ * $GxZDA/$GxRMC and carried across UTC midnight by counting rollovers, so
+ * epochs logged before the first date sentence still get the right day.
+ * Loaded files are fed to createNMEAParser line by line instead.
+ * @param {string} text - NMEA log content
+ * @param {object} options - { referenceDate } used when the log has no date sentences
+ * @returns {object} { points, dateSource, report } where dateSource is 'log', 'reference' or 'none'
+ */
+function parseNMEAText(text, options = {}) {
+    const parser = createNMEAParser(options);
+    text.split('\n').forEach(line => parser.push(line));
+    return parser.finish();
+}
+
+/**
+ * Create an incremental NMEA parser
+ * Lines are pushed one at a time, so large logs can be parsed while they
+ * are streamed from disk. Each sentence is handled in constant time.
+ * @param {object} options - { referenceDate } used when the log has no date sentences
+ * @returns {object} { push(line), finish() } where finish returns the parseNMEAText result
+ */
+function createNMEAParser(options = {}) {
+    const report = createNMEAReport();
+    const epochs = [];
+    let epoch = null;
+    let dayIndex = 0;
+    let lastSeconds = null;
+    let baseDayMs = null;
+    let firstBaseDayMs = null;
+    
+    // Count UTC midnight rollovers from the time of day in each sentence
+    const trackTimeOfDay = (seconds) => {
+        if (lastSeconds !== null && seconds < lastSeconds - NMEA_DAY_MS / 2000) {
+            dayIndex++;
+        }
+        lastSeconds = seconds;
+    };
+    
+    // A date sentence anchors the current day index to an absolute UTC date
+    const anchorDate = (dayMs) => {
+        baseDayMs = dayMs - dayIndex * NMEA_DAY_MS;
+        if (firstBaseDayMs === null) firstBaseDayMs = baseDayMs;
+        if (epoch && epoch.baseDayMs === null) epoch.baseDayMs = baseDayMs;
+    };
+    
+    // Start a new epoch unless the sentence belongs to the current one
+    const enterEpoch = (seconds) => {
+        if (!epoch || epoch.seconds !== seconds) {
+            epoch = { seconds, dayIndex, baseDayMs, data: {} };
+            epochs.push(epoch);
+        }
+        return epoch;
+    };
+    
+    // Fill in fields that an earlier sentence of the epoch did not provide
+    const mergeMissing = (target, data) => {
+        Object.keys(data).forEach(key => {
+            if ((target[key] === undefined || target[key] === null) && data[key] !== null) {
+                target[key] = data[key];
             }
-        };
+        });
+    };
+    
+    const push = (line) => {
+        line = line.trim();
+        if (!line) return;
+        report.totalLines++;
         
-        reader.onerror = () => {
-            reject(new Error('Feil ved lesing av fil'));
-        };
+        const sentence = splitNMEASentence(line);
+        if (!sentence) {
+            report.rejected.notSentence++;
+            return;
+        }
+        
+        // Corrupted serial data must never reach the track
+        const checksum = verifyNMEAChecksum(line);
+        if (checksum !== 'ok') {
+            report.rejected[checksum === 'missing' ? 'missingChecksum' : 'checksum']++;
+            return;
+        }
+        
+        const parser = NMEA_SENTENCE_PARSERS[sentence.type];
+        if (!parser) {
+            const address = sentence.parts[0].substring(1);
+            report.unknownTypes[address] = (report.unknownTypes[address] || 0) + 1;
+            return;
+        }
+        
+        const data = parser(sentence.parts, sentence.talker);
+        if (!data) {
+            report.rejected.invalid++;
+            return;
+        }
+        report.accepted++;
+        
+        // Sentences with a time of day open or join an epoch, the rest
+        // (VTG, GSA, GSV) belong to the epoch they follow
+        let target = epoch;
+        if (data.seconds !== undefined) {
+            trackTimeOfDay(data.seconds);
+            target = enterEpoch(data.seconds);
+            if (data.dayMs !== undefined && data.dayMs !== null) anchorDate(data.dayMs);
+        }
+        if (!target) return;
+        
+        const { seconds, dayMs, inView, usedSatellites, visibleSatellites, ...fields } = data;
+        
+        if (inView !== undefined) {
+            // Satellites in view are reported once per constellation
+            target.data.satellitesInView = target.data.satellitesInView || {};
+            target.data.satellitesInView[sentence.talker] = inView;
+        }
+        
+        if (usedSatellites) {
+            usedSatellites.forEach(sat => {
+                getSatelliteRecord(target.data, sat.system, sat.prn).usedInFix = true;
+            });
+        }
+        
+        if (visibleSatellites) {
+            visibleSatellites.forEach(sat => {
+                const record = getSatelliteRecord(target.data, sat.system, sat.prn);
+                if (record.elevation === null) record.elevation = sat.elevation;
+                if (record.azimuth === null) record.azimuth = sat.azimuth;
+                // Multi-signal receivers report one GSV entry per signal, keep the strongest
+                if (sat.snr !== null && (record.snr === null || sat.snr > record.snr)) {
+                    record.snr = sat.snr;
+                }
+            });
+        }
+        
+        mergeMissing(target.data, fields);
+    };
+    
+    return { push, finish: () => resolveNMEAEpochs(epochs, firstBaseDayMs, report, options) };
+}
+
+/**
+ * Turn parsed epochs into points with absolute timestamps
+ */
+function resolveNMEAEpochs(epochs, firstBaseDayMs, report, options) {
+    // Resolve absolute timestamps
+    let dateSource = 'log';
+    if (firstBaseDayMs === null) {
+        const reference = options.referenceDate || new Date();
+        firstBaseDayMs = Date.UTC(reference.getUTCFullYear(), reference.getUTCMonth(), reference.getUTCDate());
+        dateSource = options.referenceDate ? 'reference' : 'none';
+    }
+    
+    const points = [];
+    epochs.forEach(({ seconds, dayIndex, baseDayMs, data }) => {
+        if (!data.lat || !data.lon) return;
         
-        reader.readAsText(file);
+        const base = baseDayMs !== null ? baseDayMs : firstBaseDayMs;
+        points.push({
+            lat: data.lat,
+            lon: data.lon,
+            elevation: data.elevation || null,
+            time: new Date(base + dayIndex * NMEA_DAY_MS + seconds * 1000),
+            speed: data.speed || null,
+            course: data.course || null,
+            hdop: data.hdop || null,
+            vdop: data.vdop || null,
+            pdop: data.pdop || null,
+            satellites: data.satellites || null,
+            satellitesInView: data.satellitesInView
+                ? Object.values(data.satellitesInView).reduce((a, b) => a + b, 0)
+                : null,
+            satelliteRecords: data.satelliteMap
+                ? Array.from(data.satelliteMap.values()).sort((a, b) =>
+                    a.system.localeCompare(b.system) || a.prn - b.prn)
+                : null,
+            rangeRms: data.rangeRms || null,
+            errorMajor: data.errorMajor || null,
+            errorMinor: data.errorMinor || null,
+            errorOrientation: data.errorOrientation !== undefined ? data.errorOrientation : null,
+            sigmaLat: data.sigmaLat || null,
+            sigmaLon: data.sigmaLon || null,
+            sigmaAlt: data.sigmaAlt || null
+        });
     });
+    
+    // Sort by time
+    points.sort((a, b) => a.time - b.time);
+    
+    return { points, dateSource, report };
+}
+
+/**
+ * Get or create the per-epoch record of one satellite
+ * @returns {object} { system, prn, elevation, azimuth, snr, usedInFix }
+ */
+function getSatelliteRecord(epochData, system, prn) {
+    if (!epochData.satelliteMap) {
+        epochData.satelliteMap = new Map();
+    }
+    
+    const key = `${system}:${prn}`;
+    if (!epochData.satelliteMap.has(key)) {
+        epochData.satelliteMap.set(key, {
+            system,
+            prn,
+            elevation: null,
+            azimuth: null,
+            snr: null,
+            usedInFix: false
+        });
+    }
+    
+    return epochData.satelliteMap.get(key);
+}
+
+/**
+ * Create an empty ingestion report for an NMEA log
+ */
+function createNMEAReport() {
+    return {
+        totalLines: 0,
+        accepted: 0,
+        rejected: {
+            notSentence: 0,
+            missingChecksum: 0,
+            checksum: 0,
+            invalid: 0
+        },
+        unknownTypes: {}
+    };
 }
 
 /**
- * Parse GPGGA sentence (GPS Fix Data)
- * Format: $GPGGA,time,lat,N/S,lon,E/W,quality,numSats,hdop,alt,M,geoid,M,,*checksum
+ * Verify the XOR checksum of an NMEA sentence
+ * The checksum covers every character between '$' and '*'.
+ * @param {string} line - Raw sentence
+ * @returns {string} 'ok', 'missing' or 'mismatch'
  */
-function parseGPGGA(parts) {
+function verifyNMEAChecksum(line) {
+    const starIndex = line.lastIndexOf('*');
+    if (starIndex === -1 || line.length < starIndex + 3) return 'missing';
+    
+    const expected = parseInt(line.substring(starIndex + 1, starIndex + 3), 16);
+    if (isNaN(expected)) return 'mismatch';
+    
+    let checksum = 0;
+    for (let i = 1; i < starIndex; i++) {
+        checksum ^= line.charCodeAt(i);
+    }
+    
+    return checksum === expected ? 'ok' : 'mismatch';
+}
+
+/**
+ * Move a track parsed without date information to another UTC date
+ * Midnight rollovers inside the log are preserved.
+ * @param {object} trackData - JPS track data
+ * @param {Date} date - Date picked by the user
+ */
+function applyTrackDate(trackData, date) {
+    if (!trackData.points.length) return trackData;
+    
+    const first = trackData.points[0].time;
+    const fromDay = Date.UTC(first.getUTCFullYear(), first.getUTCMonth(), first.getUTCDate());
+    const toDay = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    const shift = toDay - fromDay;
+    
+    trackData.points.forEach(point => {
+        point.time = new Date(point.time.getTime() + shift);
+    });
+    trackData.dateSource = 'reference';
+    
+    return trackData;
+}
+
+/**
+ * Sentence parsers by NMEA sentence type (talker ID stripped)
+ */
+const NMEA_SENTENCE_PARSERS = {
+    GGA: parseGGA,
+    RMC: parseRMC,
+    GLL: parseGLL,
+    VTG: parseVTG,
+    GSA: parseGSA,
+    GSV: parseGSV,
+    GST: parseGST,
+    ZDA: parseZDA
+};
+
+/**
+ * Split an NMEA sentence into talker ID, sentence type and fields
+ * The checksum is stripped from the last field.
+ * @param {string} line - Raw sentence, e.g. $GNGGA,...*5C
+ * @returns {object|null} { talker, type, parts } or null if not a sentence
+ */
+function splitNMEASentence(line) {
+    if (!line.startsWith('$')) return null;
+    
+    const starIndex = line.lastIndexOf('*');
+    const body = starIndex !== -1 ? line.substring(0, starIndex) : line;
+    const parts = body.split(',');
+    const address = parts[0].substring(1);
+    
+    // Proprietary sentences ($P...) have no talker ID
+    if (address.startsWith('P')) {
+        return { talker: 'P', type: address.substring(1), parts };
+    }
+    
+    if (address.length < 5) return null;
+    
+    return {
+        talker: address.substring(0, 2),
+        type: address.substring(2),
+        parts
+    };
+}
+
+/**
+ * Parse GGA sentence (GNSS Fix Data)
+ * Format: $GxGGA,time,lat,N/S,lon,E/W,quality,numSats,hdop,alt,M,geoid,M,,*checksum
+ */
+function parseGGA(parts) {
     try {
-        const time = parseNMEATime(parts[1]);
+        const seconds = parseNMEATime(parts[1]);
         const lat = parseNMEACoordinate(parts[2], parts[3]);
         const lon = parseNMEACoordinate(parts[4], parts[5]);
         const quality = parseInt(parts[6]);
@@ -120,12 +335,12 @@ function parseGPGGA(parts) {
         const hdop = parseFloat(parts[8]);
         const elevation = parseFloat(parts[9]);
         
-        if (!time || lat === null || lon === null) {
+        if (seconds === null || lat === null || lon === null) {
             return null;
         }
         
         return {
-            time,
+            seconds,
             lat,
             lon,
             elevation: isNaN(elevation) ? null : elevation,
@@ -139,17 +354,41 @@ function parseGPGGA(parts) {
 }
 
 /**
- * Parse GNVTG sentence (Track made good and ground speed)
- * Format: $GNVTG,course1,T,course2,M,speed1,N,speed2,K,mode*checksum
+ * Parse GLL sentence (Geographic Position - Latitude/Longitude)
+ * Format: $GxGLL,lat,N/S,lon,E/W,time,status,mode*checksum
+ */
+function parseGLL(parts) {
+    try {
+        const seconds = parseNMEATime(parts[5]);
+        if (seconds === null || parts[6] !== 'A') return null;
+        
+        const lat = parseNMEACoordinate(parts[1], parts[2]);
+        const lon = parseNMEACoordinate(parts[3], parts[4]);
+        if (lat === null || lon === null) return null;
+        
+        return { seconds, lat, lon };
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Parse VTG sentence (Track made good and ground speed)
+ * Format: $GxVTG,course1,T,course2,M,speed1,N,speed2,K,mode*checksum
  */
-function parseGNVTG(parts) {
+function parseVTG(parts) {
     try {
         const course = parseFloat(parts[1]);
         const speedKnots = parseFloat(parts[5]);
         const speedKmh = parseFloat(parts[7]);
         
-        // Convert km/h to m/s
-        const speedMs = !isNaN(speedKmh) ? speedKmh / 3.6 : null;
+        // Convert km/h to m/s, falling back to knots when km/h is empty
+        let speedMs = null;
+        if (!isNaN(speedKmh)) {
+            speedMs = speedKmh / 3.6;
+        } else if (!isNaN(speedKnots)) {
+            speedMs = speedKnots / 1.94384;
+        }
         
         return {
             course: isNaN(course) ? null : course,
@@ -161,19 +400,70 @@ function parseGNVTG(parts) {
 }
 
 /**
- * Parse GNGSA sentence (GPS DOP and active satellites)
- * Format: $GNGSA,mode,fixType,sat1,...,sat12,pdop,hdop,vdop,systemId*checksum
+ * GNSS system names by NMEA talker ID
  */
-function parseGNGSA(parts) {
+const NMEA_TALKER_SYSTEMS = {
+    GP: 'GPS',
+    GL: 'GLONASS',
+    GA: 'Galileo',
+    GB: 'BeiDou',
+    BD: 'BeiDou',
+    GQ: 'QZSS',
+    GI: 'NavIC'
+};
+
+/**
+ * GNSS system names by NMEA 4.10 GSA/GSV system ID
+ */
+const NMEA_SYSTEM_IDS = {
+    1: 'GPS',
+    2: 'GLONASS',
+    3: 'Galileo',
+    4: 'BeiDou',
+    5: 'QZSS',
+    6: 'NavIC'
+};
+
+/**
+ * Resolve the GNSS system of a satellite
+ * Uses the system ID when present, then the talker ID, and for combined
+ * GN sentences without system ID the NMEA PRN ranges.
+ */
+function resolveSatelliteSystem(talker, prn, systemId) {
+    if (systemId && NMEA_SYSTEM_IDS[systemId]) return NMEA_SYSTEM_IDS[systemId];
+    if (NMEA_TALKER_SYSTEMS[talker]) return NMEA_TALKER_SYSTEMS[talker];
+    
+    if (prn >= 1 && prn <= 32) return 'GPS';
+    if (prn >= 33 && prn <= 64) return 'SBAS';
+    if (prn >= 65 && prn <= 96) return 'GLONASS';
+    return 'Ukjent';
+}
+
+/**
+ * Parse GSA sentence (DOP and active satellites)
+ * Format: $GxGSA,mode,fixType,sat1,...,sat12,pdop,hdop,vdop[,systemId]*checksum
+ * The system ID field was added in NMEA 4.10, so DOPs are read by position.
+ */
+function parseGSA(parts, talker) {
     try {
-        const pdop = parseFloat(parts[parts.length - 3]);
-        const hdop = parseFloat(parts[parts.length - 2]);
-        const vdop = parseFloat(parts[parts.length - 1].split('*')[0]);
+        const pdop = parseFloat(parts[15]);
+        const hdop = parseFloat(parts[16]);
+        const vdop = parseFloat(parts[17]);
+        const systemId = parseInt(parts[18]);
+        
+        const usedSatellites = [];
+        for (let i = 3; i <= 14; i++) {
+            const prn = parseInt(parts[i]);
+            if (!isNaN(prn)) {
+                usedSatellites.push({ system: resolveSatelliteSystem(talker, prn, systemId), prn });
+            }
+        }
         
         return {
             pdop: isNaN(pdop) ? null : pdop,
             hdop: isNaN(hdop) ? null : hdop,
-            vdop: isNaN(vdop) ? null : vdop
+            vdop: isNaN(vdop) ? null : vdop,
+            usedSatellites
         };
     } catch (e) {
         return null;
@@ -181,23 +471,128 @@ function parseGNGSA(parts) {
 }
 
 /**
- * Parse GNZDA sentence (Time & Date)
- * Format: $GNZDA,time,day,month,year,localZoneHours,localZoneMinutes*checksum
+ * Parse GSV sentence (Satellites in view)
+ * Format: $GxGSV,totalMsgs,msgNum,satsInView,[prn,elev,azimuth,snr]x1-4[,signalId]*checksum
  */
-function parseGNZDA(parts) {
+function parseGSV(parts, talker) {
     try {
-        const time = parts[1];
+        const inView = parseInt(parts[3]);
+        if (isNaN(inView)) return null;
+        
+        const visibleSatellites = [];
+        for (let i = 4; i + 3 < parts.length; i += 4) {
+            const prn = parseInt(parts[i]);
+            if (isNaN(prn)) continue;
+            
+            const elevation = parseFloat(parts[i + 1]);
+            const azimuth = parseFloat(parts[i + 2]);
+            const snr = parseFloat(parts[i + 3]);
+            
+            visibleSatellites.push({
+                system: resolveSatelliteSystem(talker, prn),
+                prn,
+                elevation: isNaN(elevation) ? null : elevation,
+                azimuth: isNaN(azimuth) ? null : azimuth,
+                snr: isNaN(snr) ? null : snr
+            });
+        }
+        
+        return { inView, visibleSatellites };
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Parse GST sentence (GNSS pseudorange error statistics)
+ * Format: $GxGST,time,rms,semiMajor,semiMinor,orientation,latSigma,lonSigma,altSigma*checksum
+ */
+function parseGST(parts) {
+    try {
+        const seconds = parseNMEATime(parts[1]);
+        if (seconds === null) return null;
+        
+        const rangeRms = parseFloat(parts[2]);
+        const errorMajor = parseFloat(parts[3]);
+        const errorMinor = parseFloat(parts[4]);
+        const errorOrientation = parseFloat(parts[5]);
+        const sigmaLat = parseFloat(parts[6]);
+        const sigmaLon = parseFloat(parts[7]);
+        const sigmaAlt = parseFloat(parts[8]);
+        
+        return {
+            seconds,
+            rangeRms: isNaN(rangeRms) ? null : rangeRms,
+            errorMajor: isNaN(errorMajor) ? null : errorMajor,
+            errorMinor: isNaN(errorMinor) ? null : errorMinor,
+            errorOrientation: isNaN(errorOrientation) ? null : errorOrientation,
+            sigmaLat: isNaN(sigmaLat) ? null : sigmaLat,
+            sigmaLon: isNaN(sigmaLon) ? null : sigmaLon,
+            sigmaAlt: isNaN(sigmaAlt) ? null : sigmaAlt
+        };
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Parse ZDA sentence (Time & Date)
+ * Format: $GxZDA,time,day,month,year,localZoneHours,localZoneMinutes*checksum
+ */
+function parseZDA(parts) {
+    try {
+        const seconds = parseNMEATime(parts[1]);
         const day = parseInt(parts[2]);
         const month = parseInt(parts[3]);
         const year = parseInt(parts[4]);
         
-        const hours = parseInt(time.substring(0, 2));
-        const minutes = parseInt(time.substring(2, 4));
-        const seconds = parseFloat(time.substring(4));
+        if (seconds === null || isNaN(day) || isNaN(month) || isNaN(year)) {
+            return null;
+        }
+        
+        return {
+            seconds,
+            dayMs: Date.UTC(year, month - 1, day)
+        };
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Parse RMC sentence (Recommended Minimum Specific GNSS Data)
+ * Format: $GxRMC,time,status,lat,N/S,lon,E/W,speedKnots,course,ddmmyy,magVar,E/W,mode*checksum
+ */
+function parseRMC(parts) {
+    try {
+        const seconds = parseNMEATime(parts[1]);
+        if (seconds === null) return null;
+        
+        // Void fixes still carry a valid date and time
+        const valid = parts[2] === 'A';
+        const speedKnots = parseFloat(parts[7]);
+        const course = parseFloat(parts[8]);
+        const dateStr = parts[9] || '';
         
-        const date = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+        let dayMs = null;
+        if (dateStr.length === 6) {
+            const day = parseInt(dateStr.substring(0, 2));
+            const month = parseInt(dateStr.substring(2, 4));
+            // Two-digit year, NMEA 0183 receivers are all post-2000 in practice
+            const year = 2000 + parseInt(dateStr.substring(4, 6));
+            if (!isNaN(day) && !isNaN(month) && !isNaN(year)) {
+                dayMs = Date.UTC(year, month - 1, day);
+            }
+        }
         
-        return { date };
+        return {
+            seconds,
+            dayMs,
+            lat: valid ? parseNMEACoordinate(parts[3], parts[4]) : null,
+            lon: valid ? parseNMEACoordinate(parts[5], parts[6]) : null,
+            speed: !isNaN(speedKnots) ? speedKnots / 1.94384 : null,
+            course: isNaN(course) ? null : course
+        };
     } catch (e) {
         return null;
     }
@@ -205,29 +600,18 @@ function parseGNZDA(parts) {
 
 /**
  * Parse NMEA time format (HHMMSS.sss)
+ * @returns {number|null} Seconds since UTC midnight
  */
 function parseNMEATime(timeStr) {
     if (!timeStr || timeStr.length < 6) return null;
     
-    try {
-        const hours = parseInt(timeStr.substring(0, 2));
-        const minutes = parseInt(timeStr.substring(2, 4));
-        const seconds = parseFloat(timeStr.substring(4));
-        
-        const now = new Date();
-        const date = new Date(Date.UTC(
-            now.getUTCFullYear(),
-            now.getUTCMonth(),
-            now.getUTCDate(),
-            hours,
-            minutes,
-            seconds
-        ));
-        
-        return date;
-    } catch (e) {
-        return null;
-    }
+    const hours = parseInt(timeStr.substring(0, 2));
+    const minutes = parseInt(timeStr.substring(2, 4));
+    const seconds = parseFloat(timeStr.substring(4));
+    
+    if (isNaN(hours) || isNaN(minutes) || isNaN(seconds)) return null;
+    
+    return hours * 3600 + minutes * 60 + seconds;
 }
 
 /**
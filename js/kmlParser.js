@@ -0,0 +1,438 @@
+// ==================== KML Parser ====================
+
+const KML_NAMESPACE = 'http://www.opengis.net/kml/2.2';
+const KML_GX_NAMESPACE = 'http://www.google.com/kml/ext/2.2';
+
+/**
+ * gx:SimpleArrayData names mapped to point fields
+ * Covers the names written by Google Earth, GPSBabel and exportToKML.
+ */
+const KML_ARRAY_FIELDS = {
+    speed: 'speed',
+    course: 'course',
+    heartrate: 'heartRate',
+    heart_rate: 'heartRate',
+    hr: 'heartRate',
+    cadence: 'cadence',
+    temperature: 'temperature',
+    hdop: 'hdop',
+    vdop: 'vdop',
+    pdop: 'pdop',
+    satellites: 'satellites'
+};
+
+/**
+ * Parse KML file and extract track data
+ *
+ * Returns the same document structure as parseGPX: flattened points with
+ * segmentIndex, tracks with segments, and Point placemarks as waypoints.
+ */
+async function parseKML(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        
+        reader.onload = (e) => {
+            try {
+                resolve({
+                    name: file.name,
+                    ...parseKMLText(e.target.result)
+                });
+            } catch (error) {
+                reject(error);
+            }
+        };
+        
+        reader.onerror = () => {
+            reject(new Error('Feil ved lesing av fil'));
+        };
+        
+        reader.readAsText(file);
+    });
+}
+
+/**
+ * Parse KMZ file (zipped KML)
+ * Reads doc.kml, or the first .kml entry in the archive, using JSZip.
+ */
+async function parseKMZ(file) {
+    const zip = await JSZip.loadAsync(await file.arrayBuffer());
+    const entries = Object.values(zip.files).filter(entry => !entry.dir && /\.kml$/i.test(entry.name));
+    const entry = entries.find(e => e.name.toLowerCase() === 'doc.kml') || entries[0];
+    
+    if (!entry) {
+        throw new Error('Fant ingen KML-fil i KMZ-arkivet');
+    }
+    
+    const text = await entry.async('string');
+    return {
+        name: file.name,
+        ...parseKMLText(text)
+    };
+}
+
+/**
+ * Parse KML document text
+ * Handles LineString, gx:Track and gx:MultiTrack placemarks, also inside
+ * MultiGeometry. Each line or track becomes one segment.
+ * @param {string} text - KML document
+ * @returns {object} { type, points, tracks, routes, waypoints }
+ */
+function parseKMLText(text) {
+    const parser = new DOMParser();
+    const xmlDoc = parser.parseFromString(text, 'text/xml');
+    
+    const parseError = xmlDoc.querySelector('parsererror');
+    if (parseError) {
+        throw new Error('Feil ved parsing av KML-fil');
+    }
+    
+    const points = [];
+    const tracks = [];
+    const waypoints = [];
+    let segmentIndex = 0;
+    
+    getKMLElements(xmlDoc, 'Placemark').forEach((placemark, placemarkIndex) => {
+        const name = getKMLChildText(placemark, 'name');
+        const description = getKMLChildText(placemark, 'description');
+        const segments = [];
+        
+        getKMLElements(placemark, 'LineString').forEach(lineString => {
+            segments.push(parseKMLLineString(lineString));
+        });
+        
+        getKMLElements(placemark, 'Track', KML_GX_NAMESPACE).forEach(track => {
+            segments.push(parseKMLTrack(track));
+        });
+        
+        getKMLElements(placemark, 'Point').forEach(pointElement => {
+            const coordinate = parseKMLCoordinates(getKMLChildText(pointElement, 'coordinates'))[0];
+            if (!coordinate) return;
+            
+            waypoints.push({
+                ...coordinate,
+                time: parseKMLTime(placemark),
+                name,
+                description,
+                symbol: null
+            });
+        });
+        
+        const nonEmpty = segments.filter(segment => segment.length > 0);
+        if (nonEmpty.length === 0) return;
+        
+        nonEmpty.forEach(segment => {
+            segment.forEach(point => {
+                point.segmentIndex = segmentIndex;
+            });
+            points.push(...segment);
+            segmentIndex++;
+        });
+        
+        tracks.push({
+            name: name || `Spor ${placemarkIndex + 1}`,
+            description,
+            type: null,
+            segments: nonEmpty
+        });
+    });
+    
+    if (points.length === 0) {
+        throw new Error('Ingen sporpunkter funnet i KML-filen');
+    }
+    
+    return {
+        type: 'kml',
+        points,
+        tracks,
+        routes: [],
+        waypoints,
+        hasOrientation: points.some(p => p.pitch !== null && p.pitch !== undefined)
+    };
+}
+
+/**
+ * Parse a LineString into points without timestamps
+ */
+function parseKMLLineString(lineString) {
+    const altitudeMode = getKMLAltitudeMode(lineString);
+    
+    return parseKMLCoordinates(getKMLChildText(lineString, 'coordinates')).map(coordinate => ({
+        ...coordinate,
+        time: null,
+        speed: null,
+        course: null,
+        hdop: null,
+        vdop: null,
+        pdop: null,
+        satellites: null,
+        altitudeMode
+    }));
+}
+
+/**
+ * Parse a gx:Track into timestamped points
+ * when and gx:coord are paired by index, gx:angles (heading, tilt, roll)
+ * become heading/pitch/roll, and SimpleArrayData values are mapped by name.
+ */
+function parseKMLTrack(track) {
+    const altitudeMode = getKMLAltitudeMode(track);
+    const whens = getKMLChildren(track, 'when').map(when => when.textContent.trim());
+    const coords = getKMLChildren(track, 'coord', KML_GX_NAMESPACE).map(coord => coord.textContent.trim());
+    const angles = getKMLChildren(track, 'angles', KML_GX_NAMESPACE).map(angle => angle.textContent.trim());
+    
+    const points = [];
+    coords.forEach((coord, i) => {
+        const [lon, lat, alt] = coord.split(/\s+/).map(parseFloat);
+        if (isNaN(lat) || isNaN(lon)) return;
+        
+        const point = {
+            lat,
+            lon,
+            elevation: isNaN(alt) ? null : alt,
+            time: whens[i] ? new Date(whens[i]) : null,
+            speed: null,
+            course: null,
+            hdop: null,
+            vdop: null,
+            pdop: null,
+            satellites: null,
+            altitudeMode,
+            arrayIndex: i
+        };
+        
+        if (angles[i]) {
+            const [heading, tilt, roll] = angles[i].split(/\s+/).map(parseFloat);
+            point.heading = isNaN(heading) ? null : heading;
+            point.pitch = isNaN(tilt) ? null : tilt;
+            point.roll = isNaN(roll) ? null : roll;
+        }
+        
+        points.push(point);
+    });
+    
+    getKMLElements(track, 'SimpleArrayData', KML_GX_NAMESPACE).forEach(arrayData => {
+        const arrayName = arrayData.getAttribute('name') || '';
+        const field = KML_ARRAY_FIELDS[arrayName.toLowerCase()];
+        const values = getKMLChildren(arrayData, 'value', KML_GX_NAMESPACE).map(value => parseFloat(value.textContent));
+        
+        points.forEach(point => {
+            const value = values[point.arrayIndex];
+            if (value === undefined || isNaN(value)) return;
+            
+            if (field) {
+                point[field] = value;
+            } else {
+                point.extensions = point.extensions || {};
+                point.extensions[arrayName] = String(value);
+            }
+        });
+    });
+    
+    points.forEach(point => {
+        delete point.arrayIndex;
+    });
+    
+    return points;
+}
+
+/**
+ * Parse a KML coordinates string ("lon,lat[,alt] lon,lat[,alt] ...")
+ */
+function parseKMLCoordinates(text) {
+    if (!text) return [];
+    
+    return text.split(/\s+/)
+        .filter(tuple => tuple)
+        .map(tuple => {
+            const [lon, lat, alt] = tuple.split(',').map(parseFloat);
+            return {
+                lat,
+                lon,
+                elevation: alt === undefined || isNaN(alt) ? null : alt
+            };
+        })
+        .filter(coordinate => !isNaN(coordinate.lat) && !isNaN(coordinate.lon));
+}
+
+/**
+ * Get the altitude mode of a geometry
+ * KML defaults to clampToGround; gx:altitudeMode holds the seafloor modes.
+ */
+function getKMLAltitudeMode(geometry) {
+    const mode = getKMLChildText(geometry, 'altitudeMode') ||
+        getKMLChildText(geometry, 'altitudeMode', KML_GX_NAMESPACE);
+    if (mode) return mode;
+    
+    // Tracks in a gx:MultiTrack inherit its altitude mode
+    const parent = geometry.parentElement;
+    if (parent && parent.localName === 'MultiTrack') {
+        return getKMLAltitudeMode(parent);
+    }
+    return 'clampToGround';
+}
+
+/**
+ * Get a placemark's TimeStamp, or the start of its TimeSpan
+ */
+function parseKMLTime(placemark) {
+    const timeStamp = getKMLElements(placemark, 'TimeStamp')[0];
+    const timeSpan = getKMLElements(placemark, 'TimeSpan')[0];
+    const text = (timeStamp && getKMLChildText(timeStamp, 'when')) ||
+        (timeSpan && getKMLChildText(timeSpan, 'begin'));
+    return text ? new Date(text) : null;
+}
+
+/**
+ * Get descendant elements by local name and namespace
+ * KML files in the wild use both the 2.2 namespace and older or no
+ * namespaces, so only gx: elements are matched strictly.
+ */
+function getKMLElements(element, localName, namespace = null) {
+    return Array.from(element.getElementsByTagNameNS('*', localName))
+        .filter(child => !namespace || child.namespaceURI === namespace);
+}
+
+/**
+ * Get direct child elements by local name and namespace
+ */
+function getKMLChildren(element, localName, namespace = null) {
+    return Array.from(element.children)
+        .filter(child => child.localName === localName && (!namespace || child.namespaceURI === namespace));
+}
+
+/**
+ * Get the trimmed text of a direct child element, or null
+ */
+function getKMLChildText(element, localName, namespace = null) {
+    const child = getKMLChildren(element, localName, namespace)[0];
+    return child ? child.textContent.trim() : null;
+}
+
+/**
+ * Convert a CSS hex colour (#RRGGBB) to KML aabbggrr
+ */
+function toKMLColor(hex, alpha = 'ff') {
+    const value = (hex || '#FF6B6B').replace('#', '');
+    return `${alpha}${value.substring(4, 6)}${value.substring(2, 4)}${value.substring(0, 2)}`.toLowerCase();
+}
+
+/**
+ * Export track data to KML
+ *
+ * Writes the track in the layer colour as gx:Track (or gx:MultiTrack for
+ * several segments) with attitude as gx:angles and speed as array data,
+ * plus placemarks for start, end and any waypoints. Points without time
+ * cannot go in a gx:Track and are written as LineStrings instead.
+ * @param {object} trackData - Track data
+ * @param {string} color - Layer colour as #RRGGBB
+ */
+function exportToKML(trackData, color) {
+    const points = trackData.points;
+    const has = (value) => value !== null && value !== undefined && !(typeof value === 'number' && isNaN(value));
+    const segments = splitGPXSegments(points);
+    const timed = points.every(p => p.time);
+    const hasAttitude = points.some(p => has(p.pitch) || has(p.roll));
+    const hasSpeed = points.some(p => has(p.speed));
+    const name = escapeHtml(trackData.name || 'GPS Track');
+    
+    let kml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+    kml += `<kml xmlns="${KML_NAMESPACE}" xmlns:gx="${KML_GX_NAMESPACE}">\n`;
+    kml += '  <Document>\n';
+    kml += `    <name>${name}</name>\n`;
+    kml += '    <Style id="track">\n';
+    kml += `      <LineStyle><color>${toKMLColor(color)}</color><width>3</width></LineStyle>\n`;
+    kml += '      <IconStyle><scale>0</scale></IconStyle>\n';
+    kml += '    </Style>\n';
+    kml += '    <Style id="start"><IconStyle><Icon><href>http://maps.google.com/mapfiles/kml/paddle/grn-circle.png</href></Icon></IconStyle></Style>\n';
+    kml += '    <Style id="end"><IconStyle><Icon><href>http://maps.google.com/mapfiles/kml/paddle/red-square.png</href></Icon></IconStyle></Style>\n';
+    if (hasSpeed) {
+        kml += '    <Schema id="trackData">\n';
+        kml += '      <gx:SimpleArrayField name="speed" type="float"><displayName>Hastighet (m/s)</displayName></gx:SimpleArrayField>\n';
+        kml += '    </Schema>\n';
+    }
+    
+    kml += '    <Placemark>\n';
+    kml += `      <name>${name}</name>\n`;
+    kml += '      <styleUrl>#track</styleUrl>\n';
+    
+    if (timed) {
+        const indent = segments.length > 1 ? '          ' : '        ';
+        if (segments.length > 1) {
+            kml += '      <gx:MultiTrack>\n';
+            kml += '        <altitudeMode>absolute</altitudeMode>\n';
+            kml += '        <gx:interpolate>0</gx:interpolate>\n';
+        }
+        segments.forEach(segment => {
+            kml += `${indent.slice(2)}<gx:Track>\n`;
+            kml += `${indent}<altitudeMode>absolute</altitudeMode>\n`;
+            segment.forEach(p => {
+                kml += `${indent}<when>${p.time.toISOString()}</when>\n`;
+            });
+            segment.forEach(p => {
+                kml += `${indent}<gx:coord>${p.lon} ${p.lat} ${has(p.elevation) ? p.elevation : 0}</gx:coord>\n`;
+            });
+            if (hasAttitude) {
+                segment.forEach(p => {
+                    const heading = has(p.heading) ? p.heading : (has(p.course) ? p.course : 0);
+                    kml += `${indent}<gx:angles>${heading} ${has(p.pitch) ? p.pitch : 0} ${has(p.roll) ? p.roll : 0}</gx:angles>\n`;
+                });
+            }
+            if (hasSpeed) {
+                kml += `${indent}<ExtendedData>\n`;
+                kml += `${indent}  <SchemaData schemaUrl="#trackData">\n`;
+                kml += `${indent}    <gx:SimpleArrayData name="speed">\n`;
+                segment.forEach(p => {
+                    kml += `${indent}      <gx:value>${has(p.speed) ? p.speed : ''}</gx:value>\n`;
+                });
+                kml += `${indent}    </gx:SimpleArrayData>\n`;
+                kml += `${indent}  </SchemaData>\n`;
+                kml += `${indent}</ExtendedData>\n`;
+            }
+            kml += `${indent.slice(2)}</gx:Track>\n`;
+        });
+        if (segments.length > 1) {
+            kml += '      </gx:MultiTrack>\n';
+        }
+    } else {
+        kml += '      <MultiGeometry>\n';
+        segments.forEach(segment => {
+            const coordinates = segment
+                .map(p => `${p.lon},${p.lat},${has(p.elevation) ? p.elevation : 0}`)
+                .join(' ');
+            kml += '        <LineString>\n';
+            kml += '          <altitudeMode>absolute</altitudeMode>\n';
+            kml += `          <coordinates>${coordinates}</coordinates>\n`;
+            kml += '        </LineString>\n';
+        });
+        kml += '      </MultiGeometry>\n';
+    }
+    kml += '    </Placemark>\n';
+    
+    const first = points[0];
+    const last = points[points.length - 1];
+    kml += buildKMLPlacemark('Start', first, '#start');
+    kml += buildKMLPlacemark('Slutt', last, '#end');
+    (trackData.waypoints || []).forEach(waypoint => {
+        kml += buildKMLPlacemark(waypoint.name || 'Veipunkt', waypoint, null, waypoint.description);
+    });
+    
+    kml += '  </Document>\n';
+    kml += '</kml>\n';
+    
+    return kml;
+}
+
+/**
+ * Build a Point placemark
+ */
+function buildKMLPlacemark(name, point, styleUrl, description = null) {
+    const elevation = point.elevation !== null && point.elevation !== undefined ? point.elevation : 0;
+    let kml = '    <Placemark>\n';
+    kml += `      <name>${escapeHtml(name)}</name>\n`;
+    if (description) kml += `      <description>${escapeHtml(description)}</description>\n`;
+    if (point.time) kml += `      <TimeStamp><when>${point.time.toISOString()}</when></TimeStamp>\n`;
+    if (styleUrl) kml += `      <styleUrl>${styleUrl}</styleUrl>\n`;
+    kml += `      <Point><altitudeMode>absolute</altitudeMode><coordinates>${point.lon},${point.lat},${elevation}</coordinates></Point>\n`;
+    kml += '    </Placemark>\n';
+    return kml;
+}
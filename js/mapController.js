@@ -87,25 +87,42 @@ class MapController {
 
         // Get min/max values for coloring
         let values, min, max;
-        if (colorMode === 'speed') {
+        let colorScheme = colorMode;
+        if (DERIVED_CHANNELS[colorMode]) {
+            const metrics = calculateDerivedMetrics(points);
+            values = metrics.map(m => m[colorMode] !== null ? m[colorMode] : (colorMode === 'loadFactor' ? 1 : 0));
+            min = values.reduce((a, b) => Math.min(a, b), Infinity);
+            max = values.reduce((a, b) => Math.max(a, b), -Infinity);
+            
+            // Signed channels share one scale on both sides of zero
+            if (DERIVED_CHANNELS[colorMode].signed) {
+                max = Math.max(Math.abs(min), Math.abs(max));
+                min = -max;
+                colorScheme = 'diverging';
+            } else {
+                colorScheme = 'speed';
+            }
+        } else if (colorMode === 'speed') {
             values = points.map(p => p.speed || 0);
-            min = Math.min(...values);
-            max = Math.max(...values);
+            min = values.reduce((a, b) => Math.min(a, b), Infinity);
+            max = values.reduce((a, b) => Math.max(a, b), -Infinity);
         } else if (colorMode === 'elevation') {
             values = points.map(p => p.elevation || 0);
-            min = Math.min(...values);
-            max = Math.max(...values);
+            min = values.reduce((a, b) => Math.min(a, b), Infinity);
+            max = values.reduce((a, b) => Math.max(a, b), -Infinity);
         } else if (colorMode === 'accuracy') {
             values = points.map(p => p.hdop || 1);
-            min = Math.min(...values);
-            max = Math.max(...values);
+            min = values.reduce((a, b) => Math.min(a, b), Infinity);
+            max = values.reduce((a, b) => Math.max(a, b), -Infinity);
         }
 
         // Create colored segments
         const segments = [];
         for (let i = 1; i < points.length; i++) {
+            if (this.isSegmentBreak(points[i - 1], points[i])) continue;
+            
             const value = values[i];
-            const color = getColorForValue(value, min, max, colorMode);
+            const color = getColorForValue(value, min, max, colorScheme);
             
             const segment = L.polyline([
                 [points[i - 1].lat, points[i - 1].lon],
@@ -203,6 +220,47 @@ class MapController {
             content += `<b>Satellitter:</b> ${point.satellites}<br>`;
         }
         
+        if (point.fix) {
+            content += `<b>Fix:</b> ${escapeHtml(point.fix)}<br>`;
+        }
+        
+        if (point.geoidHeight !== null && point.geoidHeight !== undefined) {
+            content += `<b>Geoidehøyde:</b> ${formatElevation(point.geoidHeight)}<br>`;
+        }
+        
+        if (point.ageOfDgpsData !== null && point.ageOfDgpsData !== undefined) {
+            content += `<b>DGPS-alder:</b> ${point.ageOfDgpsData} s<br>`;
+        }
+        
+        if (point.heartRate !== null && point.heartRate !== undefined) {
+            content += `<b>Puls:</b> ${Math.round(point.heartRate)} bpm<br>`;
+        }
+        
+        if (point.cadence !== null && point.cadence !== undefined) {
+            content += `<b>Kadens:</b> ${Math.round(point.cadence)} rpm<br>`;
+        }
+        
+        if (point.temperature !== null && point.temperature !== undefined) {
+            content += `<b>Temperatur:</b> ${point.temperature.toFixed(1)} °C<br>`;
+        }
+        
+        if (point.extensions) {
+            Object.entries(point.extensions).forEach(([key, value]) => {
+                content += `<b>${escapeHtml(key)}:</b> ${escapeHtml(value)}<br>`;
+            });
+        }
+        
+        const satelliteSummary = summarizeSatellites(point.satelliteRecords);
+        if (satelliteSummary) {
+            const systems = Object.entries(satelliteSummary.bySystem)
+                .map(([system, counts]) => `${system} ${counts.used}/${counts.visible}`)
+                .join(', ');
+            content += `<b>I bruk/synlige:</b> ${satelliteSummary.used}/${satelliteSummary.visible} <small>(${systems})</small><br>`;
+            if (satelliteSummary.meanSnr !== null) {
+                content += `<b>Snitt SNR:</b> ${satelliteSummary.meanSnr.toFixed(1)} dB-Hz<br>`;
+            }
+        }
+        
         content += `<small style="color: #64748b;">Lat: ${point.lat.toFixed(6)}, Lon: ${point.lon.toFixed(6)}</small>`;
         content += `</div>`;
         
@@ -307,10 +365,23 @@ class MapController {
         this.hidePlaybackMarker();
     }
 
+    /**
+     * Check if two consecutive points belong to different track segments
+     */
+    isSegmentBreak(previous, current) {
+        return previous.segmentIndex !== undefined &&
+            current.segmentIndex !== undefined &&
+            previous.segmentIndex !== current.segmentIndex;
+    }
+
     /**
      * Display a single layer with specific color
+     * @param {array} points - Track points
+     * @param {string} color - Hex color
+     * @param {number} layerId - Layer ID
+     * @param {object} features - Optional { routes, waypoints } from a GPX document
      */
-    displayLayer(points, color, layerId) {
+    displayLayer(points, color, layerId, features = {}) {
         if (!this.layers) {
             this.layers = {};
         }
@@ -331,6 +402,9 @@ class MapController {
         // Create polyline segments with popups
         const segments = [];
         for (let i = 0; i < validPoints.length - 1; i++) {
+            // Separate segments and tracks are not joined by a line
+            if (this.isSegmentBreak(validPoints[i], validPoints[i + 1])) continue;
+            
             const segment = L.polyline([
                 [validPoints[i].lat, validPoints[i].lon],
                 [validPoints[i + 1].lat, validPoints[i + 1].lon]
@@ -386,26 +460,106 @@ class MapController {
         const endMarker = L.marker([validPoints[validPoints.length - 1].lat, validPoints[validPoints.length - 1].lon], { icon: endIcon })
             .bindPopup('<b>Slutt</b><br>' + this.formatTime(validPoints[validPoints.length - 1].time));
 
+        const featureGroup = this.createFeatureGroup(features, color);
+
         // Add to map
         polylineGroup.addTo(this.map);
         startMarker.addTo(this.map);
         endMarker.addTo(this.map);
+        featureGroup.addTo(this.map);
 
         // Store layer reference
         this.layers[layerId] = {
             polylineGroup,
             startMarker,
             endMarker,
+            featureGroup,
             points: validPoints
         };
     }
 
+    /**
+     * Create routes, named waypoint markers and reference overlays for a layer
+     */
+    createFeatureGroup(features, color) {
+        const group = L.layerGroup();
+        
+        // Reference areas (e.g. GeoJSON polygons) are drawn below the track
+        (features.overlays || []).forEach(overlay => {
+            const layer = L.geoJSON(overlay.geometry, {
+                style: {
+                    color: color,
+                    weight: 2,
+                    opacity: 0.8,
+                    fillOpacity: 0.1,
+                    dashArray: '4 4'
+                }
+            });
+            if (overlay.name) {
+                layer.bindPopup(`<b>Område:</b> ${escapeHtml(overlay.name)}`);
+            }
+            layer.addTo(group);
+        });
+        
+        (features.routes || []).forEach(route => {
+            const latLngs = route.points.map(p => [p.lat, p.lon]);
+            if (latLngs.length < 2) return;
+            
+            L.polyline(latLngs, {
+                color: color,
+                weight: 3,
+                opacity: 0.8,
+                dashArray: '8 6'
+            })
+                .bindPopup(`<b>Rute:</b> ${escapeHtml(route.name)}<br>${route.points.length} rutepunkter`)
+                .addTo(group);
+        });
+        
+        (features.waypoints || []).forEach(waypoint => {
+            const icon = L.divIcon({
+                className: 'custom-marker',
+                html: `
+                    <div style="
+                        background: white;
+                        width: 12px;
+                        height: 12px;
+                        border-radius: 2px;
+                        border: 3px solid ${color};
+                        transform: rotate(45deg);
+                        box-shadow: 0 2px 6px rgba(0,0,0,0.3);
+                    "></div>
+                `,
+                iconSize: [12, 12],
+                iconAnchor: [6, 6]
+            });
+            
+            let popup = `<b>${escapeHtml(waypoint.name || 'Veipunkt')}</b><br>`;
+            if (waypoint.description) popup += `${escapeHtml(waypoint.description)}<br>`;
+            if (waypoint.elevation !== null) popup += `<b>Høyde:</b> ${formatElevation(waypoint.elevation)}<br>`;
+            popup += `<small style="color: #64748b;">Lat: ${waypoint.lat.toFixed(6)}, Lon: ${waypoint.lon.toFixed(6)}</small>`;
+            
+            const marker = L.marker([waypoint.lat, waypoint.lon], { icon }).bindPopup(popup);
+            if (waypoint.name) {
+                marker.bindTooltip(escapeHtml(waypoint.name), {
+                    permanent: true,
+                    direction: 'right',
+                    offset: [8, 0],
+                    className: 'waypoint-label'
+                });
+            }
+            marker.addTo(group);
+        });
+        
+        return group;
+    }
+
     /**
      * Clear all layers
      */
     clearAllLayers() {
         if (this.layers) {
             Object.values(this.layers).forEach(layer => {
+                if (layer.featureGroup) this.map.removeLayer(layer.featureGroup);
                 if (layer.polylineGroup) this.map.removeLayer(layer.polylineGroup);
                 if (layer.startMarker) this.map.removeLayer(layer.startMarker);
                 if (layer.endMarker) this.map.removeLayer(layer.endMarker);
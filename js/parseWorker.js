@@ -0,0 +1,19 @@
+/**
+ * Parse Worker
+ * Streams and parses line-based log files off the main thread
+ */
+
+importScripts('jpsParser.js', 'igcParser.js', 'flightCellParser.js', 'streamParser.js');
+
+self.onmessage = async (e) => {
+    const { file, format, options } = e.data;
+    
+    try {
+        const result = await streamParseFile(file, format, options, (loaded, total) => {
+            self.postMessage({ type: 'progress', loaded, total });
+        });
+        self.postMessage({ type: 'result', result });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message || 'Feil ved parsing av fil' });
+    }
+};
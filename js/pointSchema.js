@@ -0,0 +1,82 @@
+// ==================== Point Schema ====================
+
+/**
+ * Canonical units of the numeric point fields
+ * All parsers produce points in these units once normalizeTrackUnits has
+ * run, so formatters, charts and exports only convert from SI.
+ */
+const POINT_FIELD_UNITS = {
+    elevation: 'm',
+    pressureAltitude: 'm',
+    gnssAltitude: 'm',
+    speed: 'm/s',
+    trueAirspeed: 'm/s',
+    indicatedAirspeed: 'm/s',
+    course: 'deg',
+    heading: 'deg',
+    pitch: 'deg',
+    roll: 'deg'
+};
+
+/**
+ * Factor from each unit to the canonical unit of its quantity
+ */
+const UNIT_FACTORS = {
+    m: 1,
+    ft: 0.3048,
+    'm/s': 1,
+    kn: 1852 / 3600,
+    'km/h': 1 / 3.6,
+    deg: 1,
+    rad: 180 / Math.PI
+};
+
+/**
+ * Units written by each source, where they differ from POINT_FIELD_UNITS
+ * Keyed by trackData.type. Sources whose units are chosen at import (CSV)
+ * set trackData.units themselves instead.
+ */
+const SOURCE_UNITS = {
+    flightcell: { speed: 'kn' }
+};
+
+/**
+ * Convert a track's points, routes and waypoints to the canonical units
+ * Safe to call more than once: the track is marked with the canonical
+ * units afterwards.
+ * @param {object} trackData - Parsed track data
+ * @returns {object} The same track data
+ */
+function normalizeTrackUnits(trackData) {
+    const units = trackData.units || SOURCE_UNITS[trackData.type] || {};
+    const factors = Object.entries(units)
+        .filter(([field, unit]) => POINT_FIELD_UNITS[field] && unit !== POINT_FIELD_UNITS[field])
+        .map(([field, unit]) => {
+            if (UNIT_FACTORS[unit] === undefined) {
+                throw new Error(`Ukjent enhet "${unit}" for ${field}`);
+            }
+            return [field, UNIT_FACTORS[unit]];
+        });
+    
+    if (factors.length > 0) {
+        // Route-only files reuse the route points as track points
+        const converted = new Set();
+        const convert = (point) => {
+            if (converted.has(point)) return;
+            converted.add(point);
+            
+            factors.forEach(([field, factor]) => {
+                if (typeof point[field] === 'number') {
+                    point[field] *= factor;
+                }
+            });
+        };
+        
+        trackData.points.forEach(convert);
+        (trackData.routes || []).forEach(route => route.points.forEach(convert));
+        (trackData.waypoints || []).forEach(convert);
+    }
+    
+    trackData.units = { ...POINT_FIELD_UNITS };
+    return trackData;
+}
@@ -0,0 +1,418 @@
+// ==================== Sensor Alignment ====================
+
+/**
+ * Default settings for merging GPS and IMU logs
+ * clockOffsetMs is added to IMU timestamps to bring them onto the GPS clock.
+ * mode 'gps' interpolates attitude to the GPS epochs, 'imu' interpolates
+ * the GPS track to every IMU sample. Interpolation never bridges gaps
+ * longer than maxImuGapMs/maxGpsGapMs or GPS segment breaks.
+ * attitudeSource picks the logger's own pitch/roll ('logger'), the
+ * complementary filter ('fusion') or the logger filled in by the filter
+ * where it has no attitude ('auto').
+ */
+const DEFAULT_SENSOR_ALIGNMENT = {
+    clockOffsetMs: 0,
+    mode: 'gps',
+    attitudeSource: 'logger',
+    maxImuGapMs: 1000,
+    maxGpsGapMs: 5000
+};
+
+/**
+ * Align IMU samples with a GPS track
+ * @param {array} gpsPoints - GPS points in time order
+ * @param {array} imuSamples - IMU samples { time, gyro, accel, pitch, roll }
+ * @param {object} options - Overrides for DEFAULT_SENSOR_ALIGNMENT
+ * @returns {array} Track points with pitch, roll, gyro and accel
+ */
+function alignSensorData(gpsPoints, imuSamples, options = {}) {
+    const settings = { ...DEFAULT_SENSOR_ALIGNMENT, ...options };
+    const samples = prepareSensorSamples(gpsPoints, imuSamples, settings);
+    
+    if (settings.mode === 'imu') {
+        const points = [];
+        samples.forEach(sample => {
+            const point = interpolateGPSPoint(gpsPoints, sample.time.getTime(), settings.maxGpsGapMs);
+            if (!point) return;
+            
+            points.push({
+                ...point,
+                time: sample.time,
+                pitch: sample.pitch,
+                roll: sample.roll,
+                yaw: sample.yaw,
+                gyro: sample.gyro,
+                accel: sample.accel
+            });
+        });
+        return points;
+    }
+    
+    return gpsPoints.map(gps => {
+        const attitude = interpolateAttitude(samples, gps.time.getTime(), settings.maxImuGapMs);
+        return {
+            ...gps,
+            pitch: attitude ? attitude.pitch : null,
+            roll: attitude ? attitude.roll : null,
+            yaw: attitude ? attitude.yaw : null,
+            gyro: attitude ? attitude.gyro : null,
+            accel: attitude ? attitude.accel : null
+        };
+    });
+}
+
+/**
+ * Shift IMU samples onto the GPS clock and apply the attitude source
+ * With a fused source every sample keeps the logger's values in
+ * loggerPitch/loggerRoll and the filter output in fused.
+ * @returns {array} Time-sorted samples with pitch, roll and yaw (null for the logger source)
+ */
+function prepareSensorSamples(gpsPoints, imuSamples, settings) {
+    const samples = shiftSensorSamples(imuSamples, settings.clockOffsetMs);
+    if (settings.attitudeSource !== 'fusion' && settings.attitudeSource !== 'auto') {
+        return samples.map(sample => ({ ...sample, yaw: null }));
+    }
+    
+    const fused = fuseAttitude(samples, gpsPoints);
+    return samples.map((sample, i) => {
+        const hasLogger = sample.pitch !== null && sample.pitch !== undefined &&
+            sample.roll !== null && sample.roll !== undefined;
+        const useFusion = fused[i] && (settings.attitudeSource === 'fusion' || !hasLogger);
+        
+        return {
+            ...sample,
+            loggerPitch: hasLogger ? sample.pitch : null,
+            loggerRoll: hasLogger ? sample.roll : null,
+            fused: fused[i],
+            pitch: useFusion ? fused[i].pitch : sample.pitch,
+            roll: useFusion ? fused[i].roll : sample.roll,
+            yaw: fused[i] ? fused[i].yaw : null
+        };
+    });
+}
+
+/**
+ * Move IMU samples onto the GPS clock
+ * Returns time-sorted copies; the original samples are left untouched.
+ * @param {array} samples - IMU samples
+ * @param {number} offsetMs - Milliseconds added to each timestamp
+ */
+function shiftSensorSamples(samples, offsetMs = 0) {
+    return samples
+        .filter(sample => sample.time && !isNaN(sample.time.getTime()))
+        .map(sample => ({ ...sample, time: new Date(sample.time.getTime() + offsetMs) }))
+        .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Find the last item at or before a time (binary search)
+ * @returns {number} Index, or -1 if the time is before the first item
+ */
+function findTimeIndex(items, timeMs) {
+    let low = 0;
+    let high = items.length - 1;
+    let result = -1;
+    
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (items[mid].time.getTime() <= timeMs) {
+            result = mid;
+            low = mid + 1;
+        } else {
+            high = mid - 1;
+        }
+    }
+    
+    return result;
+}
+
+/**
+ * Find the two items around a time and the fraction between them
+ * @returns {object|null} { before, after, fraction }, or null outside the data or across a gap
+ */
+function findTimeBracket(items, timeMs, maxGapMs) {
+    const index = findTimeIndex(items, timeMs);
+    if (index === -1) return null;
+    
+    const before = items[index];
+    const beforeMs = before.time.getTime();
+    if (beforeMs === timeMs) {
+        return { before, after: before, fraction: 0 };
+    }
+    
+    const after = items[index + 1];
+    if (!after) return null;
+    
+    const span = after.time.getTime() - beforeMs;
+    if (span > maxGapMs) return null;
+    
+    return { before, after, fraction: (timeMs - beforeMs) / span };
+}
+
+/**
+ * Interpolate attitude, yaw, gyro and accel at a time
+ */
+function interpolateAttitude(samples, timeMs, maxGapMs) {
+    const bracket = findTimeBracket(samples, timeMs, maxGapMs);
+    if (!bracket) return null;
+    
+    const { before, after, fraction } = bracket;
+    const vector = (a, b) => a && b ? {
+        x: interpolateLinear(a.x, b.x, fraction),
+        y: interpolateLinear(a.y, b.y, fraction),
+        z: interpolateLinear(a.z, b.z, fraction)
+    } : null;
+    
+    const yaw = interpolateAngle(before.yaw, after.yaw, fraction);
+    return {
+        pitch: interpolateLinear(before.pitch, after.pitch, fraction),
+        roll: interpolateAngle(before.roll, after.roll, fraction),
+        yaw: yaw !== null && yaw < 0 ? yaw + 360 : yaw,
+        gyro: vector(before.gyro, after.gyro),
+        accel: vector(before.accel, after.accel)
+    };
+}
+
+/**
+ * Interpolate a GPS position at a time
+ * Fields that are not interpolated are taken from the nearest point.
+ */
+function interpolateGPSPoint(points, timeMs, maxGapMs) {
+    const bracket = findTimeBracket(points, timeMs, maxGapMs);
+    if (!bracket) return null;
+    
+    const { before, after, fraction } = bracket;
+    if (before.segmentIndex !== after.segmentIndex) return null;
+    
+    const heading = interpolateAngle(before.heading, after.heading, fraction);
+    return {
+        ...(fraction < 0.5 ? before : after),
+        lat: interpolateLinear(before.lat, after.lat, fraction),
+        lon: interpolateLinear(before.lon, after.lon, fraction),
+        elevation: interpolateLinear(before.elevation, after.elevation, fraction),
+        speed: interpolateLinear(before.speed, after.speed, fraction),
+        heading: heading !== null && heading < 0 ? heading + 360 : heading,
+        segmentIndex: before.segmentIndex
+    };
+}
+
+/**
+ * Linear interpolation that passes missing values through as null
+ */
+function interpolateLinear(a, b, fraction) {
+    if (a === null || a === undefined || b === null || b === undefined) {
+        return fraction < 0.5 ? (a !== undefined ? a : null) : (b !== undefined ? b : null);
+    }
+    return a + (b - a) * fraction;
+}
+
+/**
+ * Interpolate an angle in degrees along the shortest arc
+ * @returns {number|null} Angle in the range -180 to 180
+ */
+function interpolateAngle(a, b, fraction) {
+    if (a === null || a === undefined || b === null || b === undefined) {
+        return interpolateLinear(a, b, fraction);
+    }
+    
+    const delta = ((b - a + 540) % 360) - 180;
+    const angle = a + delta * fraction;
+    return ((angle + 540) % 360) - 180;
+}
+
+/**
+ * Search settings for estimateClockOffset
+ * A coarse scan over ±maxOffsetMs is refined around the best match.
+ */
+const CLOCK_OFFSET_SEARCH = {
+    maxOffsetMs: 10000,
+    coarseStepMs: 100,
+    fineStepMs: 10,
+    minPairs: 20
+};
+
+/**
+ * Estimate the clock offset between GPS and IMU logs
+ *
+ * GPS-derived turn rate (heading change) is cross-correlated with gyro z,
+ * and GPS-derived longitudinal acceleration (speed change) with accel x.
+ * IMU values are averaged over each GPS interval so both signals have the
+ * same bandwidth. Correlation is scale- and sign-independent, so the units
+ * and axis directions of the logger do not matter.
+ *
+ * The confidence score is the peak correlation minus the strongest
+ * competing peak, so periodic manoeuvres that match at several offsets
+ * score low. Straight, steady flight gives no usable signal and returns null.
+ * @param {array} gpsPoints - GPS points in time order
+ * @param {array} imuSamples - IMU samples on their own clock
+ * @param {object} options - Overrides for CLOCK_OFFSET_SEARCH
+ * @returns {object|null} { offsetMs, confidence, correlation, channels }
+ */
+function estimateClockOffset(gpsPoints, imuSamples, options = {}) {
+    const search = { ...CLOCK_OFFSET_SEARCH, ...options };
+    const samples = shiftSensorSamples(imuSamples, 0);
+    const channels = [
+        {
+            key: 'turnRate',
+            reference: deriveGPSRates(gpsPoints, p => p.heading !== undefined && p.heading !== null ? p.heading : p.course, true),
+            signal: buildSampleSignal(samples, s => s.gyro ? s.gyro.z : null)
+        },
+        {
+            key: 'acceleration',
+            reference: deriveGPSRates(gpsPoints, p => p.speed, false),
+            signal: buildSampleSignal(samples, s => s.accel ? s.accel.x : null)
+        }
+    ].filter(channel => channel.reference.length >= search.minPairs && channel.signal.times.length > 0);
+    
+    if (channels.length === 0) return null;
+    
+    // Mean absolute correlation over the usable channels
+    const score = (offsetMs) => {
+        const values = channels
+            .map(channel => correlateAtOffset(channel.reference, channel.signal, offsetMs, search.minPairs))
+            .filter(r => r !== null);
+        return values.length > 0
+            ? values.reduce((sum, r) => sum + Math.abs(r), 0) / values.length
+            : null;
+    };
+    
+    const scan = (from, to, step) => {
+        const results = [];
+        for (let offset = from; offset <= to; offset += step) {
+            const r = score(offset);
+            if (r !== null) results.push({ offset, r });
+        }
+        return results;
+    };
+    
+    const coarse = scan(-search.maxOffsetMs, search.maxOffsetMs, search.coarseStepMs);
+    if (coarse.length === 0) return null;
+    
+    const bestCoarse = coarse.reduce((best, result) => result.r > best.r ? result : best);
+    const fine = scan(bestCoarse.offset - search.coarseStepMs, bestCoarse.offset + search.coarseStepMs, search.fineStepMs);
+    const best = fine.concat(bestCoarse).reduce((top, result) => result.r > top.r ? result : top);
+    
+    // Strongest competing match outside the main correlation peak
+    const peak = coarse.indexOf(bestCoarse);
+    let left = peak;
+    let right = peak;
+    while (left > 0 && coarse[left - 1].r <= coarse[left].r) left--;
+    while (right < coarse.length - 1 && coarse[right + 1].r <= coarse[right].r) right++;
+    const side = coarse
+        .filter((result, i) => i < left || i > right)
+        .reduce((max, result) => Math.max(max, result.r), 0);
+    
+    return {
+        offsetMs: best.offset,
+        correlation: best.r,
+        confidence: Math.max(0, Math.min(1, best.r - side)),
+        channels: Object.fromEntries(channels.map(channel => [
+            channel.key,
+            correlateAtOffset(channel.reference, channel.signal, best.offset, search.minPairs)
+        ]))
+    };
+}
+
+/**
+ * Rate of change of a GPS field between consecutive points
+ * Intervals across segment breaks, longer than 5 s or with missing values
+ * are skipped. Angles are wrapped so a turn through north stays continuous.
+ * @returns {array} { startMs, endMs, value } per interval
+ */
+function deriveGPSRates(points, read, isAngle) {
+    const rates = [];
+    
+    for (let i = 1; i < points.length; i++) {
+        const previous = points[i - 1];
+        const current = points[i];
+        const a = read(previous);
+        const b = read(current);
+        if (a === null || a === undefined || b === null || b === undefined) continue;
+        if (!previous.time || !current.time || previous.segmentIndex !== current.segmentIndex) continue;
+        
+        const startMs = previous.time.getTime();
+        const endMs = current.time.getTime();
+        const dt = (endMs - startMs) / 1000;
+        if (dt <= 0 || dt > 5) continue;
+        
+        const delta = isAngle ? ((b - a + 540) % 360) - 180 : b - a;
+        rates.push({ startMs, endMs, value: delta / dt });
+    }
+    
+    return rates;
+}
+
+/**
+ * Build a time series with prefix sums for fast window averages
+ */
+function buildSampleSignal(samples, read) {
+    const times = [];
+    const sums = [0];
+    
+    samples.forEach(sample => {
+        const value = read(sample);
+        if (value === null || value === undefined || isNaN(value)) return;
+        times.push(sample.time.getTime());
+        sums.push(sums[sums.length - 1] + value);
+    });
+    
+    return { times, sums };
+}
+
+/**
+ * Index of the first time at or after a value (binary search)
+ */
+function lowerBound(times, value) {
+    let low = 0;
+    let high = times.length;
+    
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (times[mid] < value) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+    
+    return low;
+}
+
+/**
+ * Pearson correlation between GPS rates and IMU window averages
+ * IMU samples are moved by offsetMs onto the GPS clock.
+ * @returns {number|null} Correlation, or null with too few pairs or no variation
+ */
+function correlateAtOffset(reference, signal, offsetMs, minPairs) {
+    const xs = [];
+    const ys = [];
+    
+    reference.forEach(({ startMs, endMs, value }) => {
+        const from = lowerBound(signal.times, startMs - offsetMs);
+        const to = lowerBound(signal.times, endMs - offsetMs);
+        if (to <= from) return;
+        
+        xs.push(value);
+        ys.push((signal.sums[to] - signal.sums[from]) / (to - from));
+    });
+    
+    if (xs.length < minPairs) return null;
+    
+    const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+    const meanX = mean(xs);
+    const meanY = mean(ys);
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    
+    for (let i = 0; i < xs.length; i++) {
+        const dx = xs[i] - meanX;
+        const dy = ys[i] - meanY;
+        covariance += dx * dy;
+        varianceX += dx * dx;
+        varianceY += dy * dy;
+    }
+    
+    if (varianceX === 0 || varianceY === 0) return null;
+    return covariance / Math.sqrt(varianceX * varianceY);
+}
@@ -0,0 +1,148 @@
+// ==================== Streaming Parser ====================
+
+/**
+ * Bytes read from disk per chunk
+ */
+const STREAM_CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * Line-based formats that can be parsed while streaming
+ * Each entry creates a parser with push(line) and finish().
+ */
+const STREAM_PARSERS = {
+    jps: (options) => createNMEAParser(options),
+    igc: () => createIGCParser(),
+    flightcell: () => createFlightCellParser()
+};
+
+/**
+ * Read a file in chunks and pass every line to a callback
+ * Chunks are decoded with a streaming TextDecoder, so multi-byte
+ * characters split across chunk boundaries are kept intact.
+ * @param {File} file - File to read
+ * @param {function} onLine - Called with each line
+ * @param {function} onProgress - Called with (bytesRead, totalBytes) after each chunk
+ * @param {function} isCancelled - Checked before each chunk
+ */
+async function readFileLines(file, onLine, onProgress, isCancelled = () => false) {
+    const decoder = new TextDecoder('utf-8');
+    let remainder = '';
+    
+    for (let offset = 0; offset < file.size; offset += STREAM_CHUNK_SIZE) {
+        if (isCancelled()) {
+            throw createCancelledError();
+        }
+        
+        const end = Math.min(offset + STREAM_CHUNK_SIZE, file.size);
+        const buffer = await file.slice(offset, end).arrayBuffer();
+        const lines = (remainder + decoder.decode(buffer, { stream: end < file.size })).split('\n');
+        
+        // The last line may continue in the next chunk
+        remainder = lines.pop();
+        lines.forEach(onLine);
+        
+        if (onProgress) onProgress(end, file.size);
+    }
+    
+    if (remainder) onLine(remainder);
+}
+
+/**
+ * Stream-parse a file in a line-based format
+ * @param {File} file - File to parse
+ * @param {string} format - Key in STREAM_PARSERS
+ * @param {object} options - Parser options
+ * @param {function} onProgress - Called with (bytesRead, totalBytes)
+ * @param {function} isCancelled - Checked before each chunk
+ * @returns {Promise<object>} Result of the format's parser
+ */
+async function streamParseFile(file, format, options, onProgress, isCancelled) {
+    const parser = STREAM_PARSERS[format](options);
+    await readFileLines(file, line => parser.push(line), onProgress, isCancelled);
+    return parser.finish();
+}
+
+/**
+ * Parse a file in a Web Worker
+ *
+ * The worker streams the file and reports progress, so the page stays
+ * responsive for logs of several hundred MB. Where workers are not
+ * available (e.g. when the page is opened from file://) the same streaming
+ * parser runs on the main thread, yielding between chunks.
+ * @param {File} file - File to parse
+ * @param {string} format - Key in STREAM_PARSERS
+ * @param {object} options - Parser options
+ * @param {function} onProgress - Called with (bytesRead, totalBytes)
+ * @returns {object} { promise, cancel() }; a cancelled promise rejects with error.cancelled set
+ */
+function parseFileInWorker(file, format, options = {}, onProgress = null) {
+    let worker = null;
+    let cancelled = false;
+    let rejectTask = null;
+    
+    const parseOnMainThread = () => streamParseFile(file, format, options, onProgress, () => cancelled);
+    
+    const promise = new Promise((resolve, reject) => {
+        rejectTask = reject;
+        
+        try {
+            worker = new Worker('js/parseWorker.js');
+        } catch (error) {
+            console.warn('Web Worker unavailable, parsing on main thread:', error);
+            parseOnMainThread().then(resolve, reject);
+            return;
+        }
+        
+        let started = false;
+        worker.onmessage = (e) => {
+            started = true;
+            const message = e.data;
+            
+            if (message.type === 'progress') {
+                if (onProgress) onProgress(message.loaded, message.total);
+            } else if (message.type === 'result') {
+                worker.terminate();
+                resolve(message.result);
+            } else if (message.type === 'error') {
+                worker.terminate();
+                reject(new Error(message.message));
+            }
+        };
+        
+        // A worker script that fails to load never posts a message
+        worker.onerror = (e) => {
+            e.preventDefault();
+            worker.terminate();
+            if (cancelled) return;
+            
+            if (started) {
+                reject(new Error(e.message || 'Feil ved parsing av fil'));
+            } else {
+                console.warn('Web Worker failed to start, parsing on main thread');
+                worker = null;
+                parseOnMainThread().then(resolve, reject);
+            }
+        };
+        
+        worker.postMessage({ file, format, options });
+    });
+    
+    const cancel = () => {
+        cancelled = true;
+        if (worker) {
+            worker.terminate();
+            rejectTask(createCancelledError());
+        }
+    };
+    
+    return { promise, cancel };
+}
+
+/**
+ * Error used when the user cancels loading
+ */
+function createCancelledError() {
+    const error = new Error('Innlasting avbrutt');
+    error.cancelled = true;
+    return error;
+}
@@ -1,11 +1,94 @@
 // ==================== Utility Functions ====================
 
 /**
- * Format distance in meters to nautical miles
+ * Display unit systems
+ * Factors convert from the SI point units (m, m/s) to the display unit.
+ * Vertical speed carries its own decimals since ft/min and m/s differ
+ * by two orders of magnitude.
+ */
+const UNIT_SYSTEMS = {
+    aviation: {
+        name: 'Luftfart (NM, kn, ft)',
+        distance: { unit: 'NM', factor: 1 / 1852 },
+        speed: { unit: 'kn', factor: 3600 / 1852 },
+        elevation: { unit: 'ft', factor: 1 / 0.3048 },
+        verticalSpeed: { unit: 'ft/min', factor: 60 / 0.3048, decimals: 0 }
+    },
+    metric: {
+        name: 'Metrisk (km, km/t, m)',
+        distance: { unit: 'km', factor: 1 / 1000 },
+        speed: { unit: 'km/t', factor: 3.6 },
+        elevation: { unit: 'm', factor: 1 },
+        verticalSpeed: { unit: 'm/s', factor: 1, decimals: 1 }
+    },
+    statute: {
+        name: 'Britisk (mi, mph, ft)',
+        distance: { unit: 'mi', factor: 1 / 1609.344 },
+        speed: { unit: 'mph', factor: 3600 / 1609.344 },
+        elevation: { unit: 'ft', factor: 1 / 0.3048 },
+        verticalSpeed: { unit: 'ft/min', factor: 60 / 0.3048, decimals: 0 }
+    }
+};
+
+const DEFAULT_UNIT_SYSTEM = 'aviation';
+
+let unitSystem = null;
+
+/**
+ * Get the selected unit system key
+ * The choice is loaded from localStorage on first use.
+ */
+function getUnitSystem() {
+    if (!unitSystem) {
+        unitSystem = DEFAULT_UNIT_SYSTEM;
+        try {
+            const saved = localStorage.getItem('unitSystem');
+            if (UNIT_SYSTEMS[saved]) {
+                unitSystem = saved;
+            }
+        } catch (e) {
+            // Keep the default when storage is unavailable
+        }
+    }
+    return unitSystem;
+}
+
+/**
+ * Select and persist a unit system
+ * @param {string} key - Key in UNIT_SYSTEMS
+ */
+function setUnitSystem(key) {
+    if (!UNIT_SYSTEMS[key]) {
+        throw new Error(`Ukjent enhetssystem "${key}"`);
+    }
+    unitSystem = key;
+    localStorage.setItem('unitSystem', key);
+    return unitSystem;
+}
+
+/**
+ * Convert an SI value to the selected display unit
+ * @param {string} quantity - 'distance', 'speed', 'elevation' or 'verticalSpeed'
+ * @param {number} value - Value in m or m/s
+ */
+function convertUnit(quantity, value) {
+    if (value === null || value === undefined) return value;
+    return value * UNIT_SYSTEMS[getUnitSystem()][quantity].factor;
+}
+
+/**
+ * Get the display unit label of a quantity
+ * @param {string} quantity - 'distance', 'speed', 'elevation' or 'verticalSpeed'
+ */
+function getUnitLabel(quantity) {
+    return UNIT_SYSTEMS[getUnitSystem()][quantity].unit;
+}
+
+/**
+ * Format distance in meters in the selected unit system
  */
 function formatDistance(meters) {
-    const nauticalMiles = meters / 1852; // 1 nautical mile = 1852 meters
-    return `${nauticalMiles.toFixed(2)} NM`;
+    return `${convertUnit('distance', meters).toFixed(2)} ${getUnitLabel('distance')}`;
 }
 
 /**
@@ -23,19 +106,26 @@ function formatDuration(seconds) {
 }
 
 /**
- * Format speed in m/s to knots
+ * Format speed in m/s in the selected unit system
  */
 function formatSpeed(metersPerSecond) {
-    const knots = metersPerSecond * 1.94384; // 1 m/s = 1.94384 knots
-    return `${knots.toFixed(1)} kn`;
+    return `${convertUnit('speed', metersPerSecond).toFixed(1)} ${getUnitLabel('speed')}`;
 }
 
 /**
- * Format elevation in meters to feet
+ * Format elevation in meters in the selected unit system
  */
 function formatElevation(meters) {
-    const feet = meters * 3.28084; // 1 meter = 3.28084 feet
-    return `${Math.round(feet)} ft`;
+    return `${Math.round(convertUnit('elevation', meters))} ${getUnitLabel('elevation')}`;
+}
+
+/**
+ * Format vertical speed in m/s in the selected unit system
+ */
+function formatVerticalSpeed(metersPerSecond) {
+    if (metersPerSecond === null || metersPerSecond === undefined) return '-';
+    const { decimals } = UNIT_SYSTEMS[getUnitSystem()].verticalSpeed;
+    return `${convertUnit('verticalSpeed', metersPerSecond).toFixed(decimals)} ${getUnitLabel('verticalSpeed')}`;
 }
 
 /**
@@ -55,35 +145,193 @@ function formatSatellites(count) {
 }
 
 /**
- * Format protection levels (HPL/VPL) in feet
+ * Summarize per-satellite records of one epoch
+ * @param {array} records - Satellite records { system, prn, elevation, azimuth, snr, usedInFix }
+ * @returns {object|null} { used, visible, meanSnr, bySystem }
+ */
+function summarizeSatellites(records) {
+    if (!records || records.length === 0) return null;
+    
+    const snrs = records.map(r => r.snr).filter(snr => snr !== null && snr !== undefined);
+    const bySystem = {};
+    records.forEach(r => {
+        bySystem[r.system] = bySystem[r.system] || { used: 0, visible: 0 };
+        bySystem[r.system].visible++;
+        if (r.usedInFix) bySystem[r.system].used++;
+    });
+    
+    return {
+        used: records.filter(r => r.usedInFix).length,
+        visible: records.length,
+        meanSnr: snrs.length > 0 ? snrs.reduce((a, b) => a + b, 0) / snrs.length : null,
+        bySystem
+    };
+}
+
+/**
+ * Format protection levels (HPL/VPL) in the selected elevation unit
  */
 function formatProtectionLevel(meters) {
     if (meters === null || meters === undefined) return '-';
-    const feet = meters * 3.28084;
-    return `${Math.round(feet)} ft`;
+    return `${Math.round(convertUnit('elevation', meters))} ${getUnitLabel('elevation')}`;
+}
+
+/**
+ * Format position error in the selected elevation unit with one decimal
+ */
+function formatPositionError(meters) {
+    if (meters === null || meters === undefined) return '-';
+    return `${convertUnit('elevation', meters).toFixed(1)} ${getUnitLabel('elevation')}`;
+}
+
+/**
+ * Integrity profiles for protection-level calculation
+ * K-factors follow RTCA DO-229 (10^-7 integrity risk), alert limits are in meters.
+ */
+const INTEGRITY_PROFILES = {
+    generic: { name: 'Generisk (K 5,33)', kH: 5.33, kV: 5.33, hal: null, val: null },
+    enroute: { name: 'En route', kH: 6.18, kV: 5.33, hal: 3704, val: null },
+    terminal: { name: 'Terminal', kH: 6.18, kV: 5.33, hal: 1852, val: null },
+    npa: { name: 'Innflyging LNAV (NPA)', kH: 6.18, kV: 5.33, hal: 556, val: null },
+    lpv: { name: 'Innflyging LPV', kH: 6.0, kV: 5.33, hal: 40, val: 50 }
+};
+
+const DEFAULT_INTEGRITY_SETTINGS = { profile: 'generic', ura: 2.0, hal: null, val: null };
+
+let integritySettings = null;
+
+/**
+ * Get the active integrity model
+ * Settings are loaded from localStorage on first use.
+ * @returns {object} { profile, name, kH, kV, ura, hal, val }
+ */
+function getIntegrityModel() {
+    if (!integritySettings) {
+        integritySettings = { ...DEFAULT_INTEGRITY_SETTINGS };
+        try {
+            const saved = JSON.parse(localStorage.getItem('integritySettings'));
+            if (saved && INTEGRITY_PROFILES[saved.profile]) {
+                integritySettings = { ...integritySettings, ...saved };
+            }
+        } catch (e) {
+            // Keep defaults when the stored value is unreadable
+        }
+    }
+    
+    const profile = INTEGRITY_PROFILES[integritySettings.profile];
+    return {
+        profile: integritySettings.profile,
+        name: profile.name,
+        kH: profile.kH,
+        kV: profile.kV,
+        ura: integritySettings.ura,
+        hal: integritySettings.hal,
+        val: integritySettings.val
+    };
+}
+
+/**
+ * Update and persist integrity settings
+ * @param {object} settings - Any of { profile, ura, hal, val }
+ */
+function setIntegrityModel(settings) {
+    getIntegrityModel();
+    integritySettings = { ...integritySettings, ...settings };
+    localStorage.setItem('integritySettings', JSON.stringify(integritySettings));
+    return getIntegrityModel();
 }
 
 /**
  * Calculate HPL (Horizontal Protection Level)
- * HPL = HDOP × Protection Factor × URA
- * For GPS: typical protection factor is ~5.33 (for 99.99999% integrity)
+ * HPL = HDOP × K_H × URA
  */
-function calculateHPL(hdop) {
+function calculateHPL(hdop, model = getIntegrityModel()) {
     if (!hdop) return null;
-    const protectionFactor = 5.33; // Conservative factor for aviation
-    const ura = 2.0; // User Range Accuracy (typical GPS)
-    return hdop * protectionFactor * ura;
+    return hdop * model.kH * model.ura;
 }
 
 /**
  * Calculate VPL (Vertical Protection Level)
- * VPL = VDOP × Protection Factor × URA
+ * VPL = VDOP × K_V × URA
  */
-function calculateVPL(vdop) {
+function calculateVPL(vdop, model = getIntegrityModel()) {
     if (!vdop) return null;
-    const protectionFactor = 5.33; // Conservative factor for aviation
-    const ura = 2.0; // User Range Accuracy (typical GPS)
-    return vdop * protectionFactor * ura;
+    return vdop * model.kV * model.ura;
+}
+
+/**
+ * Find epochs where HPL/VPL exceed the alert limits of the integrity model
+ * An epoch is counted as unavailable until the next point.
+ * @param {array} points - GPS points
+ * @param {object} model - Integrity model from getIntegrityModel()
+ * @returns {object} { flaggedEpochs, hplExceedances, vplExceedances, unavailableSeconds }
+ */
+function evaluateIntegrity(points, model = getIntegrityModel()) {
+    const flaggedEpochs = [];
+    let hplExceedances = 0;
+    let vplExceedances = 0;
+    let unavailableSeconds = 0;
+    
+    if (!model.hal && !model.val) {
+        return { flaggedEpochs, hplExceedances, vplExceedances, unavailableSeconds };
+    }
+    
+    points.forEach((point, i) => {
+        const hpl = calculateHPL(point.hdop, model);
+        const vpl = calculateVPL(point.vdop, model);
+        const hplExceeded = model.hal !== null && hpl !== null && hpl > model.hal;
+        const vplExceeded = model.val !== null && vpl !== null && vpl > model.val;
+        
+        if (!hplExceeded && !vplExceeded) return;
+        
+        if (hplExceeded) hplExceedances++;
+        if (vplExceeded) vplExceedances++;
+        
+        const next = points[i + 1] || null;
+        if (next && point.time && next.time) {
+            unavailableSeconds += (next.time - point.time) / 1000;
+        }
+        
+        flaggedEpochs.push({ index: i, time: point.time, hpl, vpl, hplExceeded, vplExceeded });
+    });
+    
+    return { flaggedEpochs, hplExceedances, vplExceedances, unavailableSeconds };
+}
+
+/**
+ * Estimate 1-sigma and 95% position error for one point
+ * Uses the receiver's GST pseudorange error statistics when present:
+ * horizontal 1σ is DRMS of the lat/lon sigmas, 95% is 2DRMS, and vertical
+ * 95% is 1.96σ. Without GST the error is approximated as DOP × URA.
+ * @returns {object|null} { source, horizontal1s, horizontal95, vertical1s, vertical95 }
+ */
+function calculatePositionError(point) {
+    if (point.sigmaLat && point.sigmaLon) {
+        const horizontal1s = Math.sqrt(point.sigmaLat * point.sigmaLat + point.sigmaLon * point.sigmaLon);
+        const vertical1s = point.sigmaAlt || null;
+        return {
+            source: 'gst',
+            horizontal1s,
+            horizontal95: 2 * horizontal1s,
+            vertical1s,
+            vertical95: vertical1s !== null ? 1.96 * vertical1s : null
+        };
+    }
+    
+    if (point.hdop) {
+        const ura = getIntegrityModel().ura;
+        const horizontal1s = point.hdop * ura;
+        const vertical1s = point.vdop ? point.vdop * ura : null;
+        return {
+            source: 'dop',
+            horizontal1s,
+            horizontal95: 2 * horizontal1s,
+            vertical1s,
+            vertical95: vertical1s !== null ? 1.96 * vertical1s : null
+        };
+    }
+    
+    return null;
 }
 
 /**
@@ -95,21 +343,38 @@ function calculateDistance(lat1, lon1, lat2, lon2) {
     const φ2 = lat2 * Math.PI / 180;
     const Δφ = (lat2 - lat1) * Math.PI / 180;
     const Δλ = (lon2 - lon1) * Math.PI / 180;
-
+    
     const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
               Math.cos(φ1) * Math.cos(φ2) *
               Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
     const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-
+    
     return R * c;
 }
 
+/**
+ * Calculate initial bearing between two coordinates
+ * @returns {number} Bearing in degrees, 0-360 clockwise from north
+ */
+function calculateBearing(lat1, lon1, lat2, lon2) {
+    const φ1 = lat1 * Math.PI / 180;
+    const φ2 = lat2 * Math.PI / 180;
+    const Δλ = (lon2 - lon1) * Math.PI / 180;
+    
+    const y = Math.sin(Δλ) * Math.cos(φ2);
+    const x = Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+    
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
 /**
  * Calculate total distance for an array of points
  */
 function calculateTotalDistance(points) {
     let total = 0;
     for (let i = 1; i < points.length; i++) {
+        // Gaps between track segments are not flown distance
+        if (points[i].segmentIndex !== points[i - 1].segmentIndex) continue;
         total += calculateDistance(
             points[i - 1].lat,
             points[i - 1].lon,
@@ -120,6 +385,87 @@ function calculateTotalDistance(points) {
     return total;
 }
 
+/**
+ * Build flat per-point records for data export
+ * Contains the point fields plus computed values: cumulative distance,
+ * unit conversions, HPL/VPL and the 95% position error. Vectors are split
+ * into x/y/z columns and extensions are prefixed with "ext:".
+ * @param {array} points - GPS points
+ * @returns {object} { columns, records }
+ */
+function buildPointRecords(points) {
+    const model = getIntegrityModel();
+    // Fixed export units, with the same factors as the aviation display
+    const feet = UNIT_SYSTEMS.aviation.elevation.factor;
+    const knots = UNIT_SYSTEMS.aviation.speed.factor;
+    const skipped = ['lat', 'lon', 'time', 'elevation', 'speed', 'satelliteRecords', 'extensions', 'gyro', 'accel'];
+    const columns = [
+        'time', 'lat', 'lon', 'elevation_m', 'elevation_ft', 'speed_ms', 'speed_kn',
+        'distance_m', 'distance_nm', 'hpl_m', 'vpl_m', 'h_error_95_m', 'v_error_95_m', 'error_source'
+    ];
+    const addColumn = (column) => {
+        if (!columns.includes(column)) columns.push(column);
+    };
+    
+    let distance = 0;
+    const records = points.map((point, i) => {
+        if (i > 0 && point.segmentIndex === points[i - 1].segmentIndex) {
+            distance += calculateDistance(points[i - 1].lat, points[i - 1].lon, point.lat, point.lon);
+        }
+        
+        const error = calculatePositionError(point);
+        const record = {
+            time: point.time ? point.time.toISOString() : null,
+            lat: point.lat,
+            lon: point.lon,
+            elevation_m: point.elevation,
+            elevation_ft: point.elevation !== null && point.elevation !== undefined ? point.elevation * feet : null,
+            speed_ms: point.speed,
+            speed_kn: point.speed !== null && point.speed !== undefined ? point.speed * knots : null,
+            distance_m: distance,
+            distance_nm: distance / 1852,
+            hpl_m: calculateHPL(point.hdop, model),
+            vpl_m: calculateVPL(point.vdop, model),
+            h_error_95_m: error ? error.horizontal95 : null,
+            v_error_95_m: error ? error.vertical95 : null,
+            error_source: error ? error.source : null
+        };
+        
+        Object.entries(point).forEach(([key, value]) => {
+            if (skipped.includes(key) || value === null || value === undefined || typeof value === 'object') return;
+            addColumn(key);
+            record[key] = value;
+        });
+        
+        ['gyro', 'accel'].forEach(key => {
+            if (!point[key]) return;
+            ['x', 'y', 'z'].forEach(axis => {
+                addColumn(`${key}_${axis}`);
+                record[`${key}_${axis}`] = point[key][axis];
+            });
+        });
+        
+        if (point.satelliteRecords && point.satelliteRecords.length > 0) {
+            const summary = summarizeSatellites(point.satelliteRecords);
+            ['sat_used', 'sat_visible', 'mean_snr'].forEach(addColumn);
+            record.sat_used = summary.used;
+            record.sat_visible = summary.visible;
+            record.mean_snr = summary.meanSnr;
+        }
+        
+        if (point.extensions) {
+            Object.entries(point.extensions).forEach(([key, value]) => {
+                addColumn(`ext:${key}`);
+                record[`ext:${key}`] = value;
+            });
+        }
+        
+        return record;
+    });
+    
+    return { columns, records };
+}
+
 /**
  * Calculate elevation gain
  */
@@ -141,7 +487,7 @@ function calculateStatistics(points) {
     if (!points || points.length === 0) {
         return null;
     }
-
+    
     const elevations = points.map(p => p.elevation).filter(e => e !== null && e !== undefined);
     const speeds = points.map(p => p.speed).filter(s => s !== null && s !== undefined && s > 0);
     const satellites = points.map(p => p.satellites).filter(s => s !== null && s !== undefined);
@@ -160,40 +506,65 @@ function calculateStatistics(points) {
         ? speeds.reduce((a, b) => a + b, 0) / speeds.length 
         : distance / duration;
     
+    // Reduced instead of spread into Math.min/max, which overflows the
+    // stack on long high-rate logs
+    const minimum = (values) => values.length > 0 ? values.reduce((a, b) => Math.min(a, b)) : null;
+    const maximum = (values) => values.length > 0 ? values.reduce((a, b) => Math.max(a, b)) : null;
+    
     // Calculate min/max/avg for satellites
-    const minSatellites = satellites.length > 0 ? Math.min(...satellites) : null;
-    const maxSatellites = satellites.length > 0 ? Math.max(...satellites) : null;
+    const minSatellites = minimum(satellites);
+    const maxSatellites = maximum(satellites);
     const avgSatellites = satellites.length > 0 ? satellites.reduce((a, b) => a + b, 0) / satellites.length : null;
-
+    
     // Calculate min/max/avg for DOP values
-    const minHDOP = hdops.length > 0 ? Math.min(...hdops) : null;
-    const maxHDOP = hdops.length > 0 ? Math.max(...hdops) : null;
+    const minHDOP = minimum(hdops);
+    const maxHDOP = maximum(hdops);
     const avgHDOP = hdops.length > 0 ? hdops.reduce((a, b) => a + b, 0) / hdops.length : null;
-
-    const minVDOP = vdops.length > 0 ? Math.min(...vdops) : null;
-    const maxVDOP = vdops.length > 0 ? Math.max(...vdops) : null;
+    
+    const minVDOP = minimum(vdops);
+    const maxVDOP = maximum(vdops);
     const avgVDOP = vdops.length > 0 ? vdops.reduce((a, b) => a + b, 0) / vdops.length : null;
-
-    const minPDOP = pdops.length > 0 ? Math.min(...pdops) : null;
-    const maxPDOP = pdops.length > 0 ? Math.max(...pdops) : null;
+    
+    const minPDOP = minimum(pdops);
+    const maxPDOP = maximum(pdops);
     const avgPDOP = pdops.length > 0 ? pdops.reduce((a, b) => a + b, 0) / pdops.length : null;
-
+    
     // Calculate HPL and VPL for min/max/avg
-    const minHPL = minHDOP ? calculateHPL(minHDOP) : null;
-    const maxHPL = maxHDOP ? calculateHPL(maxHDOP) : null;
-    const avgHPL = avgHDOP ? calculateHPL(avgHDOP) : null;
-
-    const minVPL = minVDOP ? calculateVPL(minVDOP) : null;
-    const maxVPL = maxVDOP ? calculateVPL(maxVDOP) : null;
-    const avgVPL = avgVDOP ? calculateVPL(avgVDOP) : null;
-
+    const integrityModel = getIntegrityModel();
+    const minHPL = minHDOP ? calculateHPL(minHDOP, integrityModel) : null;
+    const maxHPL = maxHDOP ? calculateHPL(maxHDOP, integrityModel) : null;
+    const avgHPL = avgHDOP ? calculateHPL(avgHDOP, integrityModel) : null;
+    
+    const minVPL = minVDOP ? calculateVPL(minVDOP, integrityModel) : null;
+    const maxVPL = maxVDOP ? calculateVPL(maxVDOP, integrityModel) : null;
+    const avgVPL = avgVDOP ? calculateVPL(avgVDOP, integrityModel) : null;
+    const integrity = evaluateIntegrity(points, integrityModel);
+    
+    // Position error from GST when any epoch has it, DOP-based estimate otherwise
+    const errors = points.map(calculatePositionError).filter(e => e !== null);
+    const gstErrors = errors.filter(e => e.source === 'gst');
+    const usedErrors = gstErrors.length > 0 ? gstErrors : errors;
+    const errorSource = usedErrors.length > 0 ? usedErrors[0].source : null;
+    const average = (values) => values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+    const hErrors1s = usedErrors.map(e => e.horizontal1s);
+    const hErrors95 = usedErrors.map(e => e.horizontal95);
+    const vErrors1s = usedErrors.map(e => e.vertical1s).filter(v => v !== null);
+    const vErrors95 = usedErrors.map(e => e.vertical95).filter(v => v !== null);
+    
+    // Derived channels with the app's smoothing
+    const derived = calculateDerivedMetrics(points);
+    const verticalSpeed = summarizeDerivedChannel(derived, 'verticalSpeed');
+    const acceleration = summarizeDerivedChannel(derived, 'acceleration');
+    const turnRate = summarizeDerivedChannel(derived, 'turnRate');
+    const loadFactor = summarizeDerivedChannel(derived, 'loadFactor');
+    
     return {
         distance,
         duration,
         avgSpeed,
-        maxSpeed: speeds.length > 0 ? Math.max(...speeds) : 0,
-        maxElevation: elevations.length > 0 ? Math.max(...elevations) : 0,
-        minElevation: elevations.length > 0 ? Math.min(...elevations) : 0,
+        maxSpeed: speeds.length > 0 ? maximum(speeds) : 0,
+        maxElevation: elevations.length > 0 ? maximum(elevations) : 0,
+        minElevation: elevations.length > 0 ? minimum(elevations) : 0,
         elevationGain,
         pointCount: points.length,
         
@@ -225,7 +596,40 @@ function calculateStatistics(points) {
         // VPL
         minVPL,
         maxVPL,
-        avgVPL
+        avgVPL,
+        
+        // Integrity against the alert limits of the active model
+        integrityModel,
+        integrity,
+        
+        // Position error ('gst' or 'dop' fallback)
+        errorSource,
+        avgHError1s: average(hErrors1s),
+        avgHError95: average(hErrors95),
+        maxHError95: maximum(hErrors95),
+        avgVError1s: average(vErrors1s),
+        avgVError95: average(vErrors95),
+        maxVError95: maximum(vErrors95),
+        
+        // Vertical speed, along-track acceleration, turn rate and load factor
+        minVerticalSpeed: verticalSpeed.min,
+        avgVerticalSpeed: verticalSpeed.avg,
+        maxVerticalSpeed: verticalSpeed.max,
+        minAcceleration: acceleration.min,
+        avgAcceleration: acceleration.avg,
+        maxAcceleration: acceleration.max,
+        minTurnRate: turnRate.min,
+        avgTurnRate: turnRate.avg,
+        maxTurnRate: turnRate.max,
+        minLoadFactor: loadFactor.min,
+        avgLoadFactor: loadFactor.avg,
+        maxLoadFactor: loadFactor.max,
+        
+        // Flight phases with their own statistics
+        phases: segmentFlightPhases(points),
+        
+        // Flights between detected takeoffs and landings
+        flights: detectFlights(points)
     };
 }
 
@@ -256,6 +660,14 @@ function getColorForValue(value, min, max, colorScheme = 'speed') {
             const t = (normalized - 0.5) / 0.5;
             return interpolateColor('#f59e0b', '#92400e', t);
         }
+    } else if (colorScheme === 'diverging') {
+        // Blue (negative) -> Grey (zero) -> Red (positive), range centred on zero
+        const t = max > min ? normalized : 0.5;
+        if (t < 0.5) {
+            return interpolateColor('#3b82f6', '#94a3b8', t / 0.5);
+        } else {
+            return interpolateColor('#94a3b8', '#ef4444', (t - 0.5) / 0.5);
+        }
     } else if (colorScheme === 'accuracy') {
         // Red (poor) -> Yellow -> Green (good)
         // Note: lower values are better for accuracy, so we invert
@@ -305,6 +717,33 @@ function rgbToHex(r, g, b) {
     return "#" + ((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1);
 }
 
+/**
+ * Escape text for use in HTML and XML
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Offer text content as a file download
+ */
+function downloadFile(content, fileName, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
 /**
  * Debounce function
  */
@@ -324,9 +763,25 @@ function debounce(func, wait) {
  * Show loading overlay
  */
 function showLoading() {
+    document.getElementById('loadingProgress').style.display = 'none';
     document.getElementById('loadingOverlay').style.display = 'flex';
 }
 
+/**
+ * Show read progress and the cancel button in the loading overlay
+ * @param {number} loaded - Bytes read
+ * @param {number} total - File size in bytes
+ */
+function showLoadingProgress(loaded, total) {
+    const percent = total > 0 ? Math.round(loaded / total * 100) : 0;
+    const megabytes = (bytes) => (bytes / 1048576).toFixed(1);
+    
+    document.getElementById('loadingProgress').style.display = 'flex';
+    document.getElementById('loadingProgressBar').style.width = `${percent}%`;
+    document.getElementById('loadingProgressText').textContent =
+        `${percent} % (${megabytes(loaded)} av ${megabytes(total)} MB)`;
+}
+
 /**
  * Hide loading overlay
  */
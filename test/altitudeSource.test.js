@@ -0,0 +1,44 @@
+// ==================== Altitude Source ====================
+// Run with: node test/altitudeSource.test.js
+
+const assert = require('assert');
+const { loadScripts } = require('./loadScripts');
+
+const { context, evaluate } = loadScripts(['utils.js', 'pointSchema.js', 'flightPhases.js', 'igcParser.js', 'chartController.js'], {
+    document: { documentElement: { dataset: {} } },
+    localStorage: { getItem: () => null, setItem: () => {} }
+});
+
+// IGC logs that record only one altitude channel store 00000 for the other
+const parseFixes = (records) => context.normalizeTrackUnits(context.parseIGCText(
+    ['AXXX001', 'HFDTE080424', ...records].join('\n')
+));
+
+const pressureOnly = parseFixes([
+    'B1015305955000N01045000EA0045700000',
+    'B1015355955100N01045000EA0046000000'
+]).points;
+assert.strictEqual(pressureOnly[0].gnssAltitude, null);
+assert.strictEqual(pressureOnly[0].pressureAltitude, 457);
+
+const charts = new (evaluate('ChartController'))();
+
+charts.altitudeSource = 'gnss';
+assert.deepStrictEqual(Array.from(pressureOnly, p => charts.getAltitude(p)), [457, 460]);
+assert.strictEqual(charts.getAltitudeLabel(pressureOnly), 'Trykkhøyde (ft)');
+
+charts.altitudeSource = 'pressure';
+assert.deepStrictEqual(Array.from(pressureOnly, p => charts.getAltitude(p)), [457, 460]);
+
+const gnssOnly = parseFixes(['B1015305955000N01045000EA0000000480']).points;
+assert.strictEqual(charts.getAltitude(gnssOnly[0]), 480);
+assert.strictEqual(charts.getAltitudeLabel(gnssOnly), 'Høyde (ft)');
+
+const both = parseFixes(['B1015305955000N01045000EA0045700480']).points;
+assert.strictEqual(charts.getAltitude(both[0]), 457);
+assert.strictEqual(charts.getAltitudeLabel(both), 'Trykkhøyde (ft)');
+charts.altitudeSource = 'gnss';
+assert.strictEqual(charts.getAltitude(both[0]), 480);
+assert.strictEqual(charts.getAltitudeLabel(both), 'Høyde (ft)');
+
+console.log('ok: the elevation chart falls back to the recorded altitude channel');
@@ -0,0 +1,38 @@
+// ==================== GeoJSON ====================
+// Run with: node test/geojson.test.js
+
+const assert = require('assert');
+const { loadScripts } = require('./loadScripts');
+
+const { context } = loadScripts(['utils.js', 'geojsonParser.js']);
+
+const feature = (geometry, properties) => JSON.stringify({
+    type: 'FeatureCollection',
+    features: [{ type: 'Feature', geometry, properties }]
+});
+const times = (points) => Array.from(points, p => p.time.toISOString().substring(11, 19));
+
+// An invalid coordinate must not shift the values of the ones after it
+const line = context.parseGeoJSONText(feature(
+    { type: 'LineString', coordinates: [[10, 60], [10], [10.1, 60.1]] },
+    { coordTimes: ['2024-04-08T10:00:00Z', '2024-04-08T10:00:01Z', '2024-04-08T10:00:02Z'], speeds: [1, 2, 3] }
+));
+assert.deepStrictEqual(times(line.points), ['10:00:00', '10:00:02']);
+assert.deepStrictEqual(Array.from(line.points, p => p.speed), [1, 3]);
+
+// A flat coordTimes array runs on through the lines of a MultiLineString
+const flat = context.parseGeoJSONText(feature(
+    { type: 'MultiLineString', coordinates: [[[10, 60], [10.1, 60.1]], [[10.2, 60.2], [10.3, 60.3]]] },
+    { coordTimes: ['2024-04-08T10:00:00Z', '2024-04-08T10:00:01Z', '2024-04-08T10:05:00Z', '2024-04-08T10:05:01Z'] }
+));
+assert.deepStrictEqual(times(flat.points), ['10:00:00', '10:00:01', '10:05:00', '10:05:01']);
+assert.deepStrictEqual(Array.from(flat.points, p => p.segmentIndex), [0, 0, 1, 1]);
+
+// Per-line arrays are still read line by line
+const nested = context.parseGeoJSONText(feature(
+    { type: 'MultiLineString', coordinates: [[[10, 60]], [[10.2, 60.2]]] },
+    { coordTimes: [['2024-04-08T10:00:00Z'], ['2024-04-08T10:05:00Z']] }
+));
+assert.deepStrictEqual(times(nested.points), ['10:00:00', '10:05:00']);
+
+console.log('ok: GeoJSON per-coordinate values stay with their coordinates');
@@ -0,0 +1,87 @@
+// ==================== GPX Round Trip ====================
+// Run with: node test/gpxRoundTrip.test.js
+
+const assert = require('assert');
+const { loadScripts } = require('./loadScripts');
+const { XMLReader } = require('./xmlReader');
+
+/**
+ * FileReader that hands back the text of a { name, text } file
+ */
+class TextFileReader {
+    readAsText(file) {
+        setTimeout(() => this.onload({ target: { result: file.text } }));
+    }
+}
+
+const { context } = loadScripts(['utils.js', 'gpxParser.js'], {
+    DOMParser: XMLReader,
+    FileReader: TextFileReader
+});
+
+const original = {
+    lat: 59.9139,
+    lon: 10.7522,
+    elevation: 312.4,
+    time: new Date('2024-04-08T10:15:30.250Z'),
+    speed: 42.5,
+    course: 271.5,
+    heading: 268.25,
+    pitch: 3.5,
+    roll: -12.75,
+    yaw: 268.5,
+    hdop: 0.9,
+    vdop: 1.4,
+    pdop: 1.7,
+    satellites: 14,
+    satellitesInView: 22,
+    geoidHeight: 39.1,
+    fix: 4,
+    pressureAltitude: 298,
+    gnssAltitude: 312,
+    gpsAccuracy: 3,
+    rangeRms: 0.8,
+    sigmaLat: 1.2,
+    sigmaLon: 1.1,
+    sigmaAlt: 2.3,
+    heartRate: 96,
+    temperature: 18.5,
+    gyro: { x: 0.5, y: -1.25, z: 3 },
+    accel: { x: 0.125, y: 0.25, z: -9.75 },
+    satelliteRecords: [
+        { system: 'GPS', prn: 12, elevation: 45, azimuth: 123.5, snr: 41, usedInFix: true },
+        { system: 'GLONASS', prn: 3, elevation: 12, azimuth: 310, snr: 28, usedInFix: false }
+    ],
+    extensions: { note: 'a & b' },
+    segmentIndex: 0
+};
+
+const trackData = {
+    name: 'roundtrip.gpx',
+    points: [original],
+    tracks: [{ name: 'roundtrip', segments: [[original]] }],
+    routes: [],
+    waypoints: []
+};
+
+const xml = context.exportToGPX(trackData);
+
+context.parseGPX({ name: 'roundtrip.gpx', text: xml }).then(result => {
+    assert.strictEqual(result.points.length, 1);
+    const point = result.points[0];
+    
+    Object.entries(original).forEach(([field, value]) => {
+        if (value instanceof Date) {
+            assert.strictEqual(point[field].getTime(), value.getTime(), field);
+        } else {
+            // Objects from the vm context have their own prototypes
+            const plain = point[field] === undefined ? undefined : JSON.parse(JSON.stringify(point[field]));
+            assert.deepStrictEqual(plain, value, field);
+        }
+    });
+    
+    console.log('ok: GPX export and re-import keep every point field');
+}).catch(error => {
+    console.error(error);
+    process.exit(1);
+});
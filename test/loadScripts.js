@@ -0,0 +1,28 @@
+// ==================== Test Script Loader ====================
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * Load browser scripts from js/ into one shared vm context
+ * The scripts share their top-level declarations like they do in the
+ * page; constants are read back with evaluate().
+ * @param {array} files - Script file names, in index.html order
+ * @param {object} globals - Browser globals the scripts need
+ */
+function loadScripts(files, globals = {}) {
+    const context = vm.createContext({ console, ...globals });
+    
+    files.forEach(file => {
+        const source = fs.readFileSync(path.join(__dirname, '..', 'js', file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+    });
+    
+    return {
+        context,
+        evaluate: (code) => vm.runInContext(code, context)
+    };
+}
+
+module.exports = { loadScripts };
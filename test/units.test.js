@@ -0,0 +1,126 @@
+// ==================== Units ====================
+// Run with: node test/units.test.js
+
+const assert = require('assert');
+const { loadScripts } = require('./loadScripts');
+const { XMLReader } = require('./xmlReader');
+
+const storage = new Map();
+
+const { context, evaluate } = loadScripts([
+    'utils.js', 'pointSchema.js', 'gpxParser.js', 'csvParser.js', 'jpsParser.js', 'flightCellParser.js'
+], {
+    DOMParser: XMLReader,
+    localStorage: {
+        getItem: (key) => storage.has(key) ? storage.get(key) : null,
+        setItem: (key, value) => storage.set(key, String(value))
+    }
+});
+
+const near = (actual, expected, message) => {
+    assert.ok(Math.abs(actual - expected) < 1e-6, `${message}: ${actual} != ${expected}`);
+};
+
+// ---------- normalizeTrackUnits ----------
+
+const track = (units, point) => ({ type: 'csv', units, points: [point], routes: [], waypoints: [] });
+
+const knots = context.normalizeTrackUnits(track({ speed: 'kn' }, { speed: 10 }));
+near(knots.points[0].speed, 10 * 1852 / 3600, 'kn to m/s');
+
+const kmh = context.normalizeTrackUnits(track({ speed: 'km/h', elevation: 'ft' }, { speed: 36, elevation: 1000 }));
+near(kmh.points[0].speed, 10, 'km/h to m/s');
+near(kmh.points[0].elevation, 304.8, 'ft to m');
+
+const ms = context.normalizeTrackUnits(track({ speed: 'm/s' }, { speed: 12.5 }));
+near(ms.points[0].speed, 12.5, 'm/s unchanged');
+
+context.normalizeTrackUnits(knots);
+near(knots.points[0].speed, 10 * 1852 / 3600, 'second call leaves SI points alone');
+
+const flightCell = context.normalizeTrackUnits({ type: 'flightcell', points: [{ speed: 20 }] });
+near(flightCell.points[0].speed, 20 * 1852 / 3600, 'FlightCell source units');
+
+assert.throws(() => context.normalizeTrackUnits(track({ speed: 'furlong/fortnight' }, { speed: 1 })), /Ukjent enhet/);
+
+// ---------- convertUnit ----------
+
+context.setUnitSystem('aviation');
+near(context.convertUnit('speed', 1852 / 3600), 1, 'm/s to kn');
+near(context.convertUnit('elevation', 0.3048), 1, 'm to ft');
+near(context.convertUnit('distance', 1852), 1, 'm to NM');
+
+context.setUnitSystem('metric');
+near(context.convertUnit('speed', 10), 36, 'm/s to km/t');
+near(context.convertUnit('verticalSpeed', 2.5), 2.5, 'vertical speed in m/s');
+
+context.setUnitSystem('statute');
+near(context.convertUnit('speed', 1609.344 / 3600), 1, 'm/s to mph');
+assert.strictEqual(context.convertUnit('speed', null), null);
+assert.throws(() => context.setUnitSystem('imperial'), /Ukjent enhetssystem/);
+
+// ---------- Same motion from every source ----------
+// 50 kn (92.6 km/h) at 1500 ft (457.2 m)
+
+const nmeaChecksum = (body) => body.split('').reduce((sum, c) => sum ^ c.charCodeAt(0), 0)
+    .toString(16).toUpperCase().padStart(2, '0');
+const nmea = (body) => `$${body}*${nmeaChecksum(body)}`;
+
+const samples = {
+    jps: () => {
+        const text = [
+            nmea('GPGGA,101530.00,5955.0000,N,01045.0000,E,1,10,0.9,457.2,M,39.1,M,,'),
+            nmea('GPRMC,101530.00,A,5955.0000,N,01045.0000,E,50.0,90.0,080424,,,A')
+        ].join('\n');
+        return { type: 'jps', points: context.parseNMEAText(text).points };
+    },
+    jpsVtg: () => {
+        const text = [
+            nmea('GPGGA,101530.00,5955.0000,N,01045.0000,E,1,10,0.9,457.2,M,39.1,M,,'),
+            nmea('GPVTG,90.0,T,,M,,N,92.6,K,A'),
+            nmea('GPZDA,101530.00,08,04,2024,00,00')
+        ].join('\n');
+        return { type: 'jps', points: context.parseNMEAText(text).points };
+    },
+    flightCell: () => context.parseFlightCellGPS(JSON.stringify({
+        date: '08/04/24', time: '10:15:30.000', latitude: 59.9167, longitude: 10.75,
+        altitude: 457.2, speed: 50, heading: 90
+    })),
+    csv: () => {
+        const headers = ['time', 'lat', 'lon', 'alt_ft', 'speed_kmh'];
+        const { mapping, units } = context.guessCSVMapping(headers);
+        assert.strictEqual(units.speed, 'km/h');
+        assert.strictEqual(units.elevation, 'ft');
+        return context.buildCSVTrack([['2024-04-08T10:15:30Z', '59.9167', '10.75', '1500', '92.6']], {
+            mapping, units, coordinateFormat: 'decimal', decimalComma: false, date: null
+        });
+    },
+    gpx: () => {
+        const xml = new XMLReader().parseFromString(
+            '<trkpt xmlns="http://www.topografix.com/GPX/1/1" lat="59.9167" lon="10.75">' +
+            '<ele>457.2</ele><time>2024-04-08T10:15:30Z</time><speed>25.72222</speed></trkpt>',
+            'text/xml'
+        );
+        return { type: 'gpx', points: [context.parseGPXPoint(xml.documentElement)] };
+    }
+};
+
+const displayed = {};
+Object.entries(samples).forEach(([source, build]) => {
+    const trackData = context.normalizeTrackUnits(build());
+    const point = trackData.points[0];
+    
+    displayed[source] = Object.keys(evaluate('UNIT_SYSTEMS')).map(key => {
+        context.setUnitSystem(key);
+        return `${context.formatSpeed(point.speed)} / ${context.formatElevation(point.elevation)}`;
+    });
+});
+
+assert.deepStrictEqual(Object.keys(displayed), Object.keys(samples));
+const [reference, ...others] = Object.keys(displayed);
+others.forEach(source => {
+    assert.deepStrictEqual(displayed[source], displayed[reference], `${source} vs ${reference}`);
+});
+assert.deepStrictEqual(displayed[reference], ['50.0 kn / 1500 ft', '92.6 km/t / 457 m', '57.5 mph / 1500 ft']);
+
+console.log(`ok: ${Object.keys(displayed).join(', ')} display the same speed and elevation`);
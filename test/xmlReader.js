@@ -0,0 +1,159 @@
+// ==================== Test XML Reader ====================
+
+/**
+ * Minimal XML reader with the part of the DOMParser interface the parsers use
+ * Node has no XML parser of its own. This covers elements, attributes,
+ * namespaces, text, CDATA and the predefined and numeric entities; DTDs
+ * are not supported. Malformed input gives a document with a parsererror
+ * element, like DOMParser does.
+ */
+class XMLReader {
+    parseFromString(text) {
+        const document = new XMLDocument();
+        try {
+            document.documentElement = readXML(text);
+        } catch (error) {
+            document.parseError = new XMLElement('parsererror', null, null);
+            document.parseError.childNodes.push(error.message);
+        }
+        return document;
+    }
+}
+
+class XMLDocument {
+    constructor() {
+        this.documentElement = null;
+        this.parseError = null;
+    }
+    
+    querySelector(selector) {
+        return selector === 'parsererror' ? this.parseError : null;
+    }
+}
+
+class XMLElement {
+    constructor(name, namespaces, parent) {
+        const colon = name.indexOf(':');
+        this.nodeName = name;
+        this.prefix = colon !== -1 ? name.substring(0, colon) : null;
+        this.localName = colon !== -1 ? name.substring(colon + 1) : name;
+        this.namespaces = namespaces;
+        this.parentNode = parent;
+        this.attributes = new Map();
+        this.childNodes = [];
+        this.namespaceURI = null;
+    }
+    
+    get children() {
+        return this.childNodes.filter(node => node instanceof XMLElement);
+    }
+    
+    get textContent() {
+        return this.childNodes.map(node => typeof node === 'string' ? node : node.textContent).join('');
+    }
+    
+    getAttribute(name) {
+        return this.attributes.has(name) ? this.attributes.get(name) : null;
+    }
+}
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+const XML_TOKEN = new RegExp([
+    '<!--[\\s\\S]*?-->',
+    '<\\?[\\s\\S]*?\\?>',
+    '<!\\[CDATA\\[([\\s\\S]*?)\\]\\]>',
+    '<(\\/?)([A-Za-z_][\\w:.-]*)((?:\\s+[A-Za-z_][\\w:.-]*\\s*=\\s*(?:"[^"]*"|\'[^\']*\'))*)\\s*(\\/?)>',
+    '[^<]+'
+].join('|'), 'g');
+
+const XML_ATTRIBUTE = /([A-Za-z_][\w:.-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+/**
+ * Replace entity references in text and attribute values
+ */
+function decodeXMLEntities(text) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, entity) => {
+        if (entity[0] === '#') {
+            return String.fromCodePoint(entity[1] === 'x' ? parseInt(entity.substring(2), 16) : parseInt(entity.substring(1)));
+        }
+        if (XML_ENTITIES[entity] === undefined) {
+            throw new Error(`Unknown entity &${entity};`);
+        }
+        return XML_ENTITIES[entity];
+    });
+}
+
+/**
+ * Read a document and return its root element
+ */
+function readXML(text) {
+    let root = null;
+    let current = null;
+    let position = 0;
+    
+    XML_TOKEN.lastIndex = 0;
+    let match;
+    while ((match = XML_TOKEN.exec(text)) !== null) {
+        if (match.index !== position) {
+            throw new Error(`Unexpected character at ${position}`);
+        }
+        position = XML_TOKEN.lastIndex;
+        
+        const [token, cdata, closing, name, attributes, selfClosing] = match;
+        if (token.startsWith('<!--') || token.startsWith('<?')) continue;
+        
+        if (cdata !== undefined || !token.startsWith('<')) {
+            const content = cdata !== undefined ? cdata : decodeXMLEntities(token);
+            if (current) {
+                current.childNodes.push(content);
+            } else if (content.trim()) {
+                throw new Error('Text outside the root element');
+            }
+            continue;
+        }
+        
+        if (closing) {
+            if (!current || current.nodeName !== name) {
+                throw new Error(`Unexpected </${name}>`);
+            }
+            current = current.parentNode;
+            continue;
+        }
+        
+        if (!current && root) {
+            throw new Error('More than one root element');
+        }
+        
+        const element = new XMLElement(name, { ...(current ? current.namespaces : {}) }, current);
+        XML_ATTRIBUTE.lastIndex = 0;
+        let attribute;
+        while ((attribute = XML_ATTRIBUTE.exec(attributes)) !== null) {
+            const value = decodeXMLEntities(attribute[2] !== undefined ? attribute[2] : attribute[3]);
+            element.attributes.set(attribute[1], value);
+            if (attribute[1] === 'xmlns') element.namespaces[''] = value;
+            if (attribute[1].startsWith('xmlns:')) element.namespaces[attribute[1].substring(6)] = value;
+        }
+        element.namespaceURI = element.namespaces[element.prefix || ''] || null;
+        if (element.prefix && !element.namespaceURI) {
+            throw new Error(`Undeclared prefix ${element.prefix}`);
+        }
+        
+        if (current) {
+            current.childNodes.push(element);
+        } else {
+            root = element;
+        }
+        if (!selfClosing) current = element;
+    }
+    
+    if (position !== text.length) {
+        throw new Error(`Unexpected character at ${position}`);
+    }
+    if (!root || current) {
+        throw new Error('Unclosed root element');
+    }
+    return root;
+}
+
+module.exports = { XMLReader };